@@ -0,0 +1,200 @@
+/**
+ * Echo.io Admin
+ * The /admin Socket.io namespace behind the admin panel (public/admin.html). Connections have to
+ * present the server's ADMIN_TOKEN. Every command answers through its acknowledgement callback
+ * with { ok: true, ...result } or { ok: false, error }.
+ */
+
+const crypto = require('crypto');
+const { SCHEMA, checkLiveChanges } = require('./config');
+const { cleanText } = require('./validation');
+
+const MAX_ANNOUNCEMENT_LENGTH = 200;
+const MAX_REASON_LENGTH = 100;
+
+// Compare tokens without giving away through timing how much of them matched
+function tokensMatch(given, expected) {
+    if (typeof given !== 'string') return false;
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+// Ban reasons and announcements as plain one-line text ('' for anything that isn't text)
+function cleanAdminText(text, maxLength) {
+    return typeof text === 'string' ? cleanText(text, maxLength) : '';
+}
+
+// A connected game client and what it is doing
+function describeSocket(socket) {
+    const arena = socket.data.arena;
+    const player = arena ? arena.world.players.get(socket.id) : null;
+    return {
+        id: socket.id,
+        name: player ? player.name : null,
+        arena: arena ? arena.code : null,
+        spectating: !player,
+        address: socket.handshake.address,
+        latency: socket.data.latency === undefined ? null : socket.data.latency, // Round trip in ms (null until measured)
+        score: player ? player.score : 0,
+        kills: player ? player.kills : 0,
+        deaths: player ? player.deaths : 0
+    };
+}
+
+// Let a client know why it is being dropped, then drop it
+function disconnectSocket(socket, reason, banned) {
+    socket.emit('kicked', { reason: reason, banned: banned });
+    socket.disconnect(true);
+}
+
+/**
+ * Admin commands: (server, data) -> result (a result with an error fails the command)
+ * server is what createAdminNamespace was given.
+ */
+const COMMANDS = {
+    listPlayers(server) {
+        const arenas = Array.from(server.arenas.values()).map(arena => ({
+            code: arena.code,
+            botDifficulty: arena.world.botDifficulty.id,
+            round: arena.world.getRoundState(arena.world.clock()),
+            players: arena.world.players.size,
+            spectators: arena.spectators.size,
+            bots: Array.from(arena.world.bots.values()).map(bot => ({ id: bot.id, name: bot.name, score: bot.score }))
+        }));
+        const clients = Array.from(server.io.of('/').sockets.values()).map(describeSocket);
+        return { arenas: arenas, clients: clients };
+    },
+    
+    kick(server, data) {
+        const socket = server.io.of('/').sockets.get(data.playerId);
+        if (!socket) return { error: 'No such player' };
+        
+        const reason = cleanAdminText(data.reason, MAX_REASON_LENGTH);
+        console.log(`🛡️  Admin kicked ${socket.id}${reason ? ` (${reason})` : ''}`);
+        disconnectSocket(socket, reason, false);
+        return {};
+    },
+    
+    // Ban the address a player is connecting from, dropping everyone connected from it
+    ban(server, data) {
+        const target = server.io.of('/').sockets.get(data.playerId);
+        if (!target) return { error: 'No such player' };
+        
+        const address = target.handshake.address;
+        const reason = cleanAdminText(data.reason, MAX_REASON_LENGTH);
+        server.bans.add(address, { reason: reason, name: describeSocket(target).name });
+        console.log(`🛡️  Admin banned ${address}${reason ? ` (${reason})` : ''}`);
+        
+        server.io.of('/').sockets.forEach(socket => {
+            if (socket.handshake.address === address) disconnectSocket(socket, reason, true);
+        });
+        return { address: address };
+    },
+    
+    unban(server, data) {
+        if (!server.bans.remove(data.address)) return { error: 'That address isn\'t banned' };
+        
+        console.log(`🛡️  Admin unbanned ${data.address}`);
+        return {};
+    },
+    
+    listBans(server) {
+        return { bans: server.bans.list() };
+    },
+    
+    spawnBot(server, data) {
+        const arena = server.arenas.get(data.arena);
+        if (!arena) return { error: 'No such arena' };
+        
+        const bot = arena.world.spawnExtraBot();
+        return { botId: bot.id };
+    },
+    
+    removeBot(server, data) {
+        const arena = server.arenas.get(data.arena);
+        if (!arena) return { error: 'No such arena' };
+        if (!arena.world.removeExtraBot(data.botId)) return { error: 'No such bot' };
+        return {};
+    },
+    
+    // Current values of the settings that can be changed while running, with their limits
+    getConfig(server) {
+        const settings = Object.entries(SCHEMA)
+            .filter(([, rule]) => rule.live)
+            .map(([key, rule]) => ({
+                key: key,
+                type: rule.type,
+                value: server.gameConfig[key],
+                min: rule.min,
+                max: rule.max,
+                values: rule.values,
+                description: rule.description
+            }));
+        return { settings: settings };
+    },
+    
+    setConfig(server, data) {
+        const changes = data.changes && typeof data.changes === 'object' ? data.changes : {};
+        const problems = checkLiveChanges(server.gameConfig, changes);
+        if (problems.length > 0) return { error: problems.join('; ') };
+        if (Object.keys(changes).length === 0) return {};
+        
+        server.applyConfig(changes);
+        console.log(`🛡️  Admin changed ${Object.entries(changes).map(([key, value]) => `${key}=${value}`).join(', ')}`);
+        return {};
+    },
+    
+    announce(server, data) {
+        const message = cleanAdminText(data.message, MAX_ANNOUNCEMENT_LENGTH);
+        if (!message) return { error: 'Announcement is empty' };
+        
+        server.io.of('/').emit('announcement', { message: message });
+        console.log(`📣 ${message}`);
+        return {};
+    },
+    
+    // Start scores over in one arena, or every arena when none is given
+    resetLeaderboard(server, data) {
+        if (data.arena && !server.arenas.has(data.arena)) return { error: 'No such arena' };
+        
+        const arenas = data.arena ? [server.arenas.get(data.arena)] : Array.from(server.arenas.values());
+        
+        arenas.forEach(arena => arena.world.resetLeaderboard(arena.world.clock()));
+        console.log(`🛡️  Admin reset the leaderboard${data.arena ? ` in arena ${data.arena}` : ''}`);
+        return {};
+    }
+};
+
+/**
+ * Open the admin namespace.
+ * server: { io, token, arenas, bans, gameConfig, applyConfig(changes) }
+ */
+function createAdminNamespace(server) {
+    const namespace = server.io.of('/admin');
+    
+    namespace.use((socket, next) => {
+        if (tokensMatch(socket.handshake.auth.token, server.token)) {
+            next();
+            return;
+        }
+        console.warn(`⚠️  Rejected admin login from ${socket.handshake.address}`);
+        next(new Error('Invalid admin token'));
+    });
+    
+    namespace.on('connection', (socket) => {
+        console.log(`🛡️  Admin connected from ${socket.handshake.address}`);
+        
+        Object.entries(COMMANDS).forEach(([name, command]) => {
+            socket.on(name, (data, callback) => {
+                if (typeof callback !== 'function') return;
+                
+                const result = command(server, data && typeof data === 'object' ? data : {});
+                callback(result.error ? { ok: false, error: result.error } : { ok: true, ...result });
+            });
+        });
+    });
+    
+    return namespace;
+}
+
+module.exports = { createAdminNamespace };
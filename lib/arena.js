@@ -0,0 +1,320 @@
+/**
+ * Echo.io Arena
+ * One match on the network: a GameWorld plus the sockets playing in it and watching it.
+ * Players in an arena share a Socket.io room, so broadcasts never leak between matches.
+ * The arena drives the world's tick loop and turns its state into per-client snapshots.
+ */
+
+const { GameWorld, getPublicInfo, getBulletInfo, getMineInfo } = require('./world');
+const { SnapshotEncoder, quantizeEntity, quantizePickup } = require('./snapshots');
+const { PICKUP_TYPES } = require('./pickups');
+
+const LOOP_REPORT_INTERVAL = 10000; // milliseconds between warnings about a slow simulation
+const BANDWIDTH_REPORT_INTERVAL = 10000; // milliseconds between bandwidth log lines (when enabled)
+
+class Arena {
+    constructor(io, code, gameConfig, profiles) {
+        this.io = io;
+        this.code = code;
+        this.room = `arena:${code}`;
+        this.spectatorRoom = `arena:${code}:spectators`; // Spectators also get the full-visibility state
+        
+        // World events go to this arena's rooms
+        this.world = new GameWorld(gameConfig, {
+            code: code,
+            profiles: profiles,
+            output: {
+                broadcast: (event, data) => this.io.to(this.room).emit(event, data),
+                sendTo: (playerId, event, data) => this.io.to(playerId).emit(event, data),
+                broadcastExcept: (playerId, event, data) => this.io.to(this.room).except(playerId).emit(event, data),
+                sendToSpectators: (event, data) => this.io.to(this.spectatorRoom).emit(event, data)
+            }
+        });
+        this.gameConfig = this.world.gameConfig;
+        
+        this.spectators = new Map(); // Sockets watching without playing (never counted as players)
+        this.encoders = new Map(); // socket id -> SnapshotEncoder, for players and spectators alike
+        this.snapshotInterval = 1000 / this.gameConfig.snapshotRate; // Time between game state updates (ms)
+        this.nextSnapshotAt = 0;
+        this.nextScoresAt = 0; // Leaderboard and round timer go out less often than snapshots
+        this.bandwidth = this.gameConfig.logBandwidth ? { since: Date.now(), bytes: 0, fullBytes: 0 } : null;
+        this.tickTimer = null;
+        this.loopStats = { since: Date.now(), ticks: 0, overruns: 0, maxDuration: 0, skippedTime: 0 }; // Slow ticks since the last report
+    }
+    
+    start() {
+        this.world.start();
+        this.nextSnapshotAt = this.world.simulationTime;
+        this.tickTimer = setInterval(() => this.tick(), this.world.stepInterval);
+    }
+    
+    stop() {
+        clearInterval(this.tickTimer);
+        this.tickTimer = null;
+        this.world.stop();
+    }
+    
+    isFull() {
+        return this.world.isFull();
+    }
+    
+    isEmpty() {
+        return this.world.players.size === 0 && this.spectators.size === 0;
+    }
+    
+    // Put a connected socket into this arena as a new player
+    addPlayer(socket) {
+        socket.join(this.room);
+        const player = this.world.addPlayer(socket.id, socket.data.profileId);
+        this.encoders.set(socket.id, new SnapshotEncoder());
+        
+        // Send initial game state to the new player
+        socket.emit('gameSetup', this.getSetupData(player));
+        return player;
+    }
+    
+    // Take a socket's player out of this arena
+    removePlayer(socket) {
+        socket.leave(this.room);
+        this.encoders.delete(socket.id);
+        this.world.removePlayer(socket.id);
+    }
+    
+    // Everything a client needs to start drawing this arena (player is null for spectators)
+    getSetupData(player) {
+        const world = this.world;
+        
+        // Get all players (real + bots), without positions
+        const allPlayers = [
+            ...Array.from(world.players.values()),
+            ...Array.from(world.bots.values())
+        ].map(getPublicInfo);
+        
+        return {
+            playerId: player ? player.id : null,
+            spectator: !player,
+            arenaCode: this.code,
+            botDifficulty: world.botDifficulty.id,
+            snapshotInterval: this.snapshotInterval, // Time between game state updates (ms)
+            round: world.getRoundState(world.clock()),
+            teams: world.isTeamMode() ? world.getTeams() : [],
+            sonarTypes: world.sonarTypes, // Infinite loudness arrives as null: heard by everyone
+            pickupTypes: PICKUP_TYPES,
+            weapons: world.weapons, // Unlimited reserves arrive as null
+            weaponState: player ? world.getWeaponState(player, world.clock()) : null,
+            map: {
+                name: world.map.name,
+                width: world.map.width,
+                height: world.map.height,
+                walls: world.map.walls
+            },
+            player: player ? { ...getPublicInfo(player), x: player.x, y: player.y } : null,
+            // Players are told about bullets once they can see them (see GameWorld.shareBullet)
+            bullets: player ? [] : Array.from(world.bullets.values()).map(bullet => getBulletInfo(bullet, world.clock())),
+            mines: Array.from(world.mines.values())
+                .filter(mine => !player || world.knowsMine(player, mine))
+                .map(getMineInfo),
+            gameConfig: this.gameConfig,
+            existingPlayers: allPlayers
+        };
+    }
+    
+    // Watch this arena without playing: sees everything, takes no part in the match
+    addSpectator(socket) {
+        this.spectators.set(socket.id, { id: socket.id, joinTime: Date.now() });
+        this.encoders.set(socket.id, new SnapshotEncoder());
+        socket.join(this.room);
+        socket.join(this.spectatorRoom);
+        socket.emit('gameSetup', this.getSetupData(null));
+    }
+    
+    removeSpectator(socket) {
+        this.spectators.delete(socket.id);
+        this.encoders.delete(socket.id);
+        socket.leave(this.spectatorRoom);
+        socket.leave(this.room);
+    }
+    
+    // Spectator pressed PLAY: spawn them if there's room
+    joinGame(socket) {
+        if (this.world.players.has(socket.id)) return;
+        if (this.isFull()) {
+            socket.emit('arenaError', { message: `Room ${this.code} is full` });
+            return;
+        }
+        
+        this.removeSpectator(socket);
+        this.addPlayer(socket);
+    }
+    
+    // Player went back to watching
+    spectate(socket) {
+        if (!this.world.players.has(socket.id)) return;
+        
+        this.removePlayer(socket);
+        this.addSpectator(socket);
+    }
+    
+    // Take a socket out of this arena, whether it was playing or watching
+    removeSocket(socket) {
+        if (this.world.players.has(socket.id)) {
+            this.removePlayer(socket);
+        } else {
+            this.removeSpectator(socket);
+        }
+    }
+    
+    /**
+     * Game loop: catch the world up with real time in fixed steps,
+     * then send a snapshot whenever one is due (snapshots run at their own, usually lower, rate).
+     */
+    tick() {
+        const started = process.hrtime.bigint();
+        const now = this.world.clock();
+        
+        this.loopStats.skippedTime += this.world.tick();
+        
+        if (now >= this.nextSnapshotAt) {
+            this.sendSnapshot(this.world.simulationTime);
+            this.nextSnapshotAt = Math.max(this.nextSnapshotAt + this.snapshotInterval, now);
+        }
+        
+        this.measureTick(Number(process.hrtime.bigint() - started) / 1e6, now);
+    }
+    
+    // Keep track of ticks that took longer than a step and warn about them now and then
+    measureTick(duration, now) {
+        const stats = this.loopStats;
+        const stepInterval = this.world.stepInterval;
+        stats.ticks++;
+        stats.maxDuration = Math.max(stats.maxDuration, duration);
+        if (duration > stepInterval) stats.overruns++;
+        
+        if (now - stats.since < LOOP_REPORT_INTERVAL) return;
+        if (stats.overruns > 0 || stats.skippedTime > 0) {
+            console.warn(`⚠️  Arena ${this.code} is running slow: ${stats.overruns}/${stats.ticks} ticks over ` +
+                `${Math.round(stepInterval)}ms (worst ${stats.maxDuration.toFixed(1)}ms), ${Math.round(stats.skippedTime)}ms skipped`);
+        }
+        this.loopStats = { since: now, ticks: 0, overruns: 0, maxDuration: 0, skippedTime: 0 };
+    }
+    
+    // Send each player their view of the world (and spectators all of it) as a delta snapshot
+    sendSnapshot(now) {
+        const world = this.world;
+        const time = Math.round(now);
+        world.updateVisibility(now);
+        
+        // Scores and the round timer change slowly, so they go out at a lower rate
+        let scores = null;
+        if (now >= this.nextScoresAt) {
+            scores = {
+                leaderboard: world.getLeaderboard(),
+                teamScores: world.getTeamScores(),
+                round: world.getRoundState(now)
+            };
+            this.nextScoresAt = now + this.gameConfig.scoreUpdateInterval;
+        }
+        
+        world.players.forEach(player => {
+            const states = new Map();
+            player.visible.forEach((visibility, id) => {
+                const target = world.players.get(id) || world.bots.get(id);
+                states.set(target.netId, quantizeEntity(target, visibility));
+            });
+            
+            // Our own authoritative position doubles as the movement correction
+            const snapshot = {
+                ...this.encoders.get(player.id).encode(states),
+                time: time,
+                self: [
+                    Math.round(player.x * 10) / 10,
+                    Math.round(player.y * 10) / 10,
+                    Math.max(0, Math.round(player.health)),
+                    player.alive ? 1 : 0,
+                    player.score,
+                    player.lastInputSeq,
+                    Math.round(player.movedAt - player.inputChangedAt) // How long the server has applied that input
+                ],
+                ...scores
+            };
+            if (player.visiblePickups.size > 0) {
+                snapshot.pickups = [...player.visiblePickups].map(([id, visibility]) => quantizePickup(world.pickups[id], visibility));
+            }
+            
+            this.io.to(player.id).volatile.emit('snapshot', snapshot);
+            if (this.bandwidth) this.measureSnapshot(snapshot, this.getFullState(player, now), now);
+        });
+        
+        // Spectators see everyone and every pickup
+        if (this.spectators.size > 0) {
+            const states = new Map();
+            [...world.players.values(), ...world.bots.values()].forEach(entity => {
+                states.set(entity.netId, quantizeEntity(entity, entity.alive ? 1 : 0));
+            });
+            const pickups = this.gameConfig.pickups ?
+                world.pickups.filter(pickup => pickup.active).map(pickup => quantizePickup(pickup, 1)) : [];
+            
+            this.spectators.forEach(spectator => {
+                const snapshot = { ...this.encoders.get(spectator.id).encode(states), time: time, ...scores };
+                if (pickups.length > 0) snapshot.pickups = pickups;
+                this.io.to(spectator.id).volatile.emit('snapshot', snapshot);
+                if (this.bandwidth) this.measureSnapshot(snapshot, this.getFullState(null, now), now);
+            });
+        }
+        
+        // Replays are recorded at the snapshot rate, with what each player could see
+        if (world.replay) world.replay.recordTick(world, now);
+    }
+    
+    // The client has a snapshot and can decode deltas against it
+    acknowledgeSnapshot(socketId, seq) {
+        const encoder = this.encoders.get(socketId);
+        if (encoder && Number.isInteger(seq)) {
+            encoder.acknowledge(seq);
+        }
+    }
+    
+    // Everything one client would get without deltas, as it used to be sent (only built to compare sizes)
+    getFullState(player, now) {
+        const world = this.world;
+        const entities = player ?
+            [player, ...[...player.visible.keys()].map(id => world.players.get(id) || world.bots.get(id))] :
+            [...world.players.values(), ...world.bots.values()];
+        
+        return {
+            players: entities.map(entity => ({
+                id: entity.id,
+                x: entity.x,
+                y: entity.y,
+                health: entity.health,
+                alive: entity.alive,
+                visibility: player ? player.visible.get(entity.id) : (entity.alive ? 1 : 0)
+            })),
+            bullets: Array.from(world.bullets.values()),
+            leaderboard: world.getLeaderboard(),
+            teamScores: world.getTeamScores(),
+            round: world.getRoundState(now),
+            timestamp: now
+        };
+    }
+    
+    // Bandwidth logging (LOG_BANDWIDTH=true): bytes sent per client, next to what full game states would cost
+    measureSnapshot(snapshot, fullState, now) {
+        const stats = this.bandwidth;
+        stats.bytes += Buffer.byteLength(JSON.stringify(snapshot));
+        stats.fullBytes += Buffer.byteLength(JSON.stringify(fullState));
+        
+        const elapsed = now - stats.since;
+        if (elapsed < BANDWIDTH_REPORT_INTERVAL) return;
+        
+        const clients = this.world.players.size + this.spectators.size;
+        if (clients > 0) {
+            const perClient = bytes => (bytes / clients / (elapsed / 1000) / 1024).toFixed(2);
+            console.log(`📶 Arena ${this.code}: ${perClient(stats.bytes)} KB/s per client ` +
+                `(full game states would be ${perClient(stats.fullBytes)} KB/s)`);
+        }
+        this.bandwidth = { since: now, bytes: 0, fullBytes: 0 };
+    }
+}
+
+module.exports = { Arena };
@@ -0,0 +1,68 @@
+/**
+ * Echo.io Ban List
+ * Addresses banned from the admin panel, kept in a local JSON file so bans survive restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class BanList {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.bans = new Map(); // address -> { address, reason, name, bannedAt }
+    }
+    
+    // Read existing bans; a missing file just means nobody has been banned yet
+    load() {
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️  Could not read bans from ${this.filePath}: ${error.message}`);
+            }
+            return;
+        }
+        
+        (saved.bans || []).forEach(ban => {
+            if (typeof ban.address === 'string') this.bans.set(ban.address, ban);
+        });
+    }
+    
+    // Bans are rare, so every change is written straight away
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ bans: this.list() }, null, 2));
+        } catch (error) {
+            console.error(`⚠️  Could not save bans to ${this.filePath}: ${error.message}`);
+        }
+    }
+    
+    isBanned(address) {
+        return this.bans.has(address);
+    }
+    
+    add(address, details = {}) {
+        this.bans.set(address, {
+            address: address,
+            reason: details.reason || '',
+            name: details.name || null, // Who was playing from there, to recognize the ban later
+            bannedAt: Date.now()
+        });
+        this.save();
+    }
+    
+    // Returns false when the address wasn't banned
+    remove(address) {
+        if (!this.bans.delete(address)) return false;
+        this.save();
+        return true;
+    }
+    
+    list() {
+        return Array.from(this.bans.values());
+    }
+}
+
+module.exports = { BanList };
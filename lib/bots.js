@@ -0,0 +1,297 @@
+/**
+ * Echo.io Bot Brains
+ * Every bot runs a small state machine on top of its memory of sonar contacts:
+ *   patrol      - nothing to hunt: wander and ping now and then
+ *   investigate - head for where an enemy was last noticed, sonar ahead
+ *   engage      - enemy revealed: keep a comfortable range and shoot with the gun that suits it
+ *   flank       - enemy revealed: swing round to the side before engaging
+ *   retreat     - hurt badly: run from the threat, drop a mine and stay quiet for a while
+ * Difficulty profiles decide how fast, accurate, alert and cunning bots are, and which weapons they use.
+ */
+
+const { isLineBlocked } = require('../shared/geometry');
+
+const SEARCH_RADIUS = 50; // How close a bot gets to a last-known position before giving up on it
+const RETREAT_TIME = 3000; // milliseconds a hurt bot keeps running
+const HIT_MEMORY = 1000; // Only a hit this recent makes a hurt bot retreat
+const FLANK_TIME = 2500; // milliseconds a bot spends circling before it engages anyway
+const FLANK_OFFSET = 220; // How far to the side of the enemy a flanking bot aims
+const MIN_FLANK_DISTANCE = 200; // Enemies closer than this are engaged directly
+const MAX_CONTACTS = 10; // Enemies a bot keeps track of at once; in a crowd the rest are forgotten
+
+// Guns a bot would rather use at each distance, best first
+const CLOSE_WEAPONS = ['shotgun', 'pistol', 'sniper'];
+const MID_WEAPONS = ['pistol', 'shotgun', 'sniper'];
+const FAR_WEAPONS = ['sniper', 'pistol', 'shotgun'];
+
+const BOT_DIFFICULTIES = {
+    easy: {
+        id: 'easy',
+        name: 'Easy',
+        speed: 15, // pixels per second
+        accuracy: 0.35, // Aim spread in radians (lower = more accurate)
+        reactionTime: 700, // milliseconds between spotting an enemy and opening fire
+        shootRange: 220,
+        preferredRange: 180, // Distance a bot tries to keep while fighting
+        memoryTime: 4000, // milliseconds a lost enemy is remembered
+        hearingRange: 400, // How far away gunfire and pings are heard
+        searchPingInterval: 5000, // milliseconds between pings while patrolling
+        retreatHealth: 0, // Retreat when hit at or below this much health (0 = never)
+        flankChance: 0, // Chance of flanking a newly spotted enemy instead of engaging
+        weapons: ['pistol'] // Weapons the bot knows how to use
+    },
+    normal: {
+        id: 'normal',
+        name: 'Normal',
+        speed: 20,
+        accuracy: 0.15,
+        reactionTime: 300,
+        shootRange: 300,
+        preferredRange: 200,
+        memoryTime: 8000,
+        hearingRange: 700,
+        searchPingInterval: 3000,
+        retreatHealth: 25,
+        flankChance: 0.2,
+        weapons: ['pistol', 'shotgun']
+    },
+    hard: {
+        id: 'hard',
+        name: 'Hard',
+        speed: 24,
+        accuracy: 0.08,
+        reactionTime: 150,
+        shootRange: 350,
+        preferredRange: 220,
+        memoryTime: 12000,
+        hearingRange: 900,
+        searchPingInterval: 2000,
+        retreatHealth: 35,
+        flankChance: 0.4,
+        weapons: ['pistol', 'shotgun', 'sniper', 'mine']
+    },
+    nightmare: {
+        id: 'nightmare',
+        name: 'Nightmare',
+        speed: 28,
+        accuracy: 0.03,
+        reactionTime: 50,
+        shootRange: 400,
+        preferredRange: 250,
+        memoryTime: 16000,
+        hearingRange: 1200,
+        searchPingInterval: 1500,
+        retreatHealth: 45,
+        flankChance: 0.6,
+        weapons: ['pistol', 'shotgun', 'sniper', 'mine']
+    }
+};
+
+// Profile by name (null for anything that isn't one, including names sent by clients)
+function getBotDifficulty(id) {
+    return Object.prototype.hasOwnProperty.call(BOT_DIFFICULTIES, id) ? BOT_DIFFICULTIES[id] : null;
+}
+
+// Squared distance from a bot (enough for telling which of two things is nearer)
+function distanceSquared(bot, point) {
+    return (point.x - bot.x) * (point.x - bot.x) + (point.y - bot.y) * (point.y - bot.y);
+}
+
+// Enemies in sight come first (nearest first), then memories (most recent first)
+function compareContacts(bot, a, b) {
+    if (a.visible !== b.visible) return a.visible ? -1 : 1;
+    if (a.visible) return distanceSquared(bot, a) - distanceSquared(bot, b);
+    return b.seenAt - a.seenAt;
+}
+
+// Nearest enemy in sight, otherwise the most recent memory
+function pickContact(bot) {
+    let best = null;
+    bot.contacts.forEach(contact => {
+        if (!best || compareContacts(bot, contact, best) < 0) best = contact;
+    });
+    return best;
+}
+
+// Forget the least interesting contacts once a bot knows about too many enemies
+function trimContacts(bot) {
+    while (bot.contacts.size > MAX_CONTACTS) {
+        let worst = null;
+        bot.contacts.forEach(contact => {
+            if (!worst || compareContacts(bot, contact, worst) > 0) worst = contact;
+        });
+        bot.contacts.delete(worst.id);
+    }
+}
+
+// The enemies in sight worth keeping track of: all of them, or only the nearest few in a crowd
+function pickSightings(bot, enemies) {
+    if (enemies.length <= MAX_CONTACTS) return enemies;
+    
+    // One pass, keeping the nearest so far in order (no sorting the whole crowd)
+    const nearest = [];
+    const distances = [];
+    enemies.forEach(enemy => {
+        const distance = distanceSquared(bot, enemy);
+        if (nearest.length === MAX_CONTACTS && distance >= distances[MAX_CONTACTS - 1]) return;
+        
+        let i = Math.min(nearest.length, MAX_CONTACTS - 1);
+        while (i > 0 && distances[i - 1] > distance) {
+            nearest[i] = nearest[i - 1];
+            distances[i] = distances[i - 1];
+            i--;
+        }
+        nearest[i] = enemy;
+        distances[i] = distance;
+    });
+    return nearest;
+}
+
+function setState(world, bot, state, now) {
+    if (bot.brain.state === state) return;
+    bot.brain.state = state;
+    bot.brain.since = now;
+    bot.brain.strafe = world.random() < 0.5 ? 1 : -1; // Which way to circle when engaging or flanking
+    bot.brain.flankAngle = null; // Side of the enemy a flanking bot is heading for
+}
+
+// The loaded gun that suits the distance best, preferring one that reaches (null when every gun is empty)
+function chooseWeapon(world, bot, difficulty, distance) {
+    const preference = distance < difficulty.preferredRange * 0.75 ? CLOSE_WEAPONS :
+        distance > difficulty.preferredRange * 1.25 ? FAR_WEAPONS : MID_WEAPONS;
+    const loaded = preference.filter(id => difficulty.weapons.includes(id) && bot.ammo[id].magazine > 0);
+    const weaponId = loaded.find(id => distance < world.weapons[id].range) || loaded[0];
+    return weaponId ? world.weapons[weaponId] : null;
+}
+
+// Work out which state the bot should be in this step
+function chooseState(world, bot, contact, difficulty, now) {
+    const brain = bot.brain;
+    
+    if (brain.state === 'retreat' && now - brain.since < RETREAT_TIME) return 'retreat';
+    if (contact && bot.health <= difficulty.retreatHealth && now - bot.lastHitAt < HIT_MEMORY) return 'retreat';
+    if (!contact) return 'patrol';
+    if (!contact.visible) return 'investigate';
+    
+    if (brain.state === 'flank' && now - brain.since < FLANK_TIME) return 'flank';
+    if (brain.state !== 'engage' && brain.state !== 'flank' &&
+        Math.hypot(contact.x - bot.x, contact.y - bot.y) > MIN_FLANK_DISTANCE &&
+        world.random() < difficulty.flankChance) {
+        return 'flank';
+    }
+    return 'engage';
+}
+
+const STATES = {
+    patrol(world, bot, contact, difficulty, now, deltaTime) {
+        bot.speed = difficulty.speed;
+        if (world.random() < world.gameConfig.botDirectionChangeRate * deltaTime) {
+            bot.targetDirection = world.random() * Math.PI * 2;
+        }
+        
+        const lastPulse = bot.lastPings.pulse || 0;
+        if (now - lastPulse > difficulty.searchPingInterval) {
+            world.botPing(bot, now, 'pulse', bot.direction);
+        }
+        
+        // Quiet moments are for reloading
+        world.startReload(bot, now);
+    },
+    
+    investigate(world, bot, contact, difficulty, now) {
+        const angleToContact = Math.atan2(contact.y - bot.y, contact.x - bot.x);
+        bot.targetDirection = angleToContact;
+        bot.speed = difficulty.speed * 1.2;
+        
+        if (Math.hypot(contact.x - bot.x, contact.y - bot.y) < SEARCH_RADIUS) {
+            // Nothing here any more
+            bot.contacts.delete(contact.id);
+            world.botPing(bot, now, 'pulse', bot.direction);
+        } else if (!world.botPing(bot, now, 'cone', angleToContact)) {
+            world.botPing(bot, now, 'pulse', bot.direction);
+        }
+    },
+    
+    engage(world, bot, contact, difficulty, now) {
+        const angleToEnemy = Math.atan2(contact.y - bot.y, contact.x - bot.x);
+        const enemyDistance = Math.hypot(contact.x - bot.x, contact.y - bot.y);
+        
+        // Close in, back off, or circle at a comfortable range
+        if (enemyDistance > difficulty.preferredRange * 1.25) {
+            bot.targetDirection = angleToEnemy;
+            bot.speed = difficulty.speed * 1.5;
+        } else if (enemyDistance < difficulty.preferredRange * 0.6) {
+            bot.targetDirection = angleToEnemy + Math.PI;
+            bot.speed = difficulty.speed;
+        } else {
+            bot.targetDirection = angleToEnemy + bot.brain.strafe * Math.PI / 2;
+            bot.speed = difficulty.speed;
+        }
+        
+        // Shoot once the bot has had time to react, if in range and not behind a wall
+        if (world.isCombatEnabled() && now - bot.brain.since >= difficulty.reactionTime &&
+            enemyDistance < difficulty.shootRange &&
+            !isLineBlocked(world.map.walls, bot.x, bot.y, contact.x, contact.y)) {
+            const weapon = chooseWeapon(world, bot, difficulty, enemyDistance);
+            if (!weapon) {
+                // Everything is empty: the pistol never runs out of spare ammo
+                world.switchWeapon(bot, 'pistol');
+                world.startReload(bot, now);
+                return;
+            }
+            
+            world.switchWeapon(bot, weapon.id);
+            if (world.canFire(bot, now)) {
+                // Add some inaccuracy based on distance
+                const distanceFactor = enemyDistance / difficulty.shootRange;
+                const spread = difficulty.accuracy * (1 + distanceFactor);
+                world.fireWeapon(bot, angleToEnemy + (world.random() - 0.5) * spread, now);
+            }
+        }
+    },
+    
+    flank(world, bot, contact, difficulty, now) {
+        // Aim for a point off to the enemy's side instead of straight at it
+        const brain = bot.brain;
+        if (brain.flankAngle === null) {
+            brain.flankAngle = Math.atan2(bot.y - contact.y, bot.x - contact.x) + brain.strafe * Math.PI / 2;
+        }
+        const flankX = contact.x + Math.cos(brain.flankAngle) * FLANK_OFFSET;
+        const flankY = contact.y + Math.sin(brain.flankAngle) * FLANK_OFFSET;
+        bot.targetDirection = Math.atan2(flankY - bot.y, flankX - bot.x);
+        bot.speed = difficulty.speed * 1.3;
+        
+        if (Math.hypot(flankX - bot.x, flankY - bot.y) < SEARCH_RADIUS) {
+            setState(world, bot, 'engage', now);
+        }
+    },
+    
+    retreat(world, bot, contact, difficulty, now) {
+        // Run from the threat (or just keep going) and don't give away our position
+        if (contact) {
+            bot.targetDirection = Math.atan2(bot.y - contact.y, bot.x - contact.x);
+        }
+        bot.speed = difficulty.speed * 1.5;
+        
+        // Leave a mine behind for whoever gives chase (it stays in hand until the bot fights again)
+        if (contact && difficulty.weapons.includes('mine') && world.isCombatEnabled() &&
+            !bot.reload && bot.ammo.mine.magazine > 0) {
+            world.switchWeapon(bot, 'mine');
+            world.fireWeapon(bot, bot.direction, now);
+        }
+    }
+};
+
+// Decide what a bot does this step (deltaTime in seconds); the world moves it afterwards
+function updateBotBrain(world, bot, difficulty, now, deltaTime) {
+    const contact = pickContact(bot);
+    setState(world, bot, chooseState(world, bot, contact, difficulty, now), now);
+    STATES[bot.brain.state](world, bot, contact, difficulty, now, deltaTime);
+}
+
+// Fresh brain for a newly spawned bot
+function createBrain(now) {
+    return { state: 'patrol', since: now, strafe: 1, flankAngle: null };
+}
+
+module.exports = { BOT_DIFFICULTIES, MAX_CONTACTS, getBotDifficulty, updateBotBrain, createBrain, trimContacts, pickSightings };
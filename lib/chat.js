@@ -0,0 +1,47 @@
+/**
+ * Echo.io Chat
+ * Cleaning up chat messages before they are passed on: length limit, a simple word filter and
+ * a per-player rate limit (at most chatRateLimit messages in any chatRateWindow milliseconds).
+ */
+
+const { cleanText } = require('./validation');
+
+// Words hidden behind asterisks when the filter is on (whole words, any case)
+const FILTERED_WORDS = [
+    'asshole', 'bastard', 'bitch', 'cunt', 'dick', 'fag', 'faggot', 'fuck', 'fucker', 'fucking',
+    'motherfucker', 'nigga', 'nigger', 'retard', 'shit', 'slut', 'whore'
+];
+const FILTER_PATTERN = new RegExp(`\\b(${FILTERED_WORDS.join('|')})\\b`, 'gi');
+
+function filterWords(text) {
+    return text.replace(FILTER_PATTERN, word => '*'.repeat(word.length));
+}
+
+/**
+ * Turn whatever a client sent into a message fit to show (null when nothing is left of it)
+ */
+function cleanChatMessage(text, gameConfig) {
+    if (typeof text !== 'string') return null;
+    
+    // Filter before cutting to length, so a word cut in half can't slip past
+    const cleaned = cleanText(text);
+    const filtered = gameConfig.chatFilter ? filterWords(cleaned) : cleaned;
+    return filtered.slice(0, gameConfig.chatMaxLength).trim() || null;
+}
+
+/**
+ * Record a message attempt in a player's recent chat times.
+ * Returns 0 when the message may go out, otherwise the milliseconds until it would.
+ */
+function takeChatSlot(player, now, gameConfig) {
+    const windowStart = now - gameConfig.chatRateWindow;
+    player.chatTimes = (player.chatTimes || []).filter(time => time > windowStart);
+    
+    if (player.chatTimes.length >= gameConfig.chatRateLimit) {
+        return Math.ceil(player.chatTimes[0] - windowStart);
+    }
+    player.chatTimes.push(now);
+    return 0;
+}
+
+module.exports = { filterWords, cleanChatMessage, takeChatSlot };
@@ -0,0 +1,363 @@
+/**
+ * Echo.io Configuration
+ * Every game setting, its default and what values it accepts. Settings are layered, later
+ * sources winning: defaults, a named preset, the config file, environment variables, CLI flags.
+ *
+ *   config file  - config.json / config.yaml in the project root, or --config <file> / CONFIG_FILE
+ *                  (YAML files are flat "key: value" lists)
+ *   presets      - --preset <name> / PRESET / "preset" in the config file (see PRESETS)
+ *   environment  - the setting name in SCREAMING_SNAKE_CASE, e.g. BOT_DIFFICULTY=hard
+ *   CLI flags    - the setting name in kebab-case, e.g. --bot-difficulty=hard or --bot-difficulty hard
+ *
+ * Settings marked live can be changed in the config file while the server runs; the rest need a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BOT_DIFFICULTIES } = require('./bots');
+const { EVENTS } = require('./validation');
+const { listMaps } = require('./map');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_FILES = ['config.json', 'config.yaml', 'config.yml'];
+const WATCH_INTERVAL = 1000; // milliseconds between checks of the config file for changes
+
+// Holding fire sends a shot every shootCooldown; keeping that to half the shoot rate limit leaves
+// room for shots that arrive bunched up, so no setting can get a player dropped as a flooder
+const MIN_SHOOT_COOLDOWN = Math.ceil(2000 / EVENTS.shoot.perSecond);
+
+/**
+ * Setting name -> { type, default, min, max, values, live, description }
+ * type is 'integer', 'number', 'boolean' or 'string'; values lists the allowed strings.
+ */
+const SCHEMA = {
+    // World settings
+    worldWidth: { type: 'integer', default: 2000, min: 200, max: 20000, description: 'World width in pixels (the map\'s size replaces it)' },
+    worldHeight: { type: 'integer', default: 2000, min: 200, max: 20000, description: 'World height in pixels (the map\'s size replaces it)' },
+    mapName: { type: 'string', default: 'outpost', values: listMaps(), description: 'Layout from maps/<name>.json' },
+    playerRadius: { type: 'number', default: 12, min: 1, max: 100, description: 'Collision radius against walls' },
+    maxPlayers: { type: 'integer', default: 12, min: 1, max: 100, live: true, description: 'Human players per arena' },
+    // Simulation settings
+    simulationRate: { type: 'integer', default: 30, min: 5, max: 120, description: 'Fixed physics steps per second' },
+    snapshotRate: { type: 'integer', default: 10, min: 1, max: 60, description: 'Game state updates sent to each client per second' },
+    scoreUpdateInterval: { type: 'integer', default: 1000, min: 100, max: 60000, live: true, description: 'milliseconds between leaderboard and round timer updates' },
+    logBandwidth: { type: 'boolean', default: false, description: 'Log snapshot bytes per client every 10 seconds' },
+    playerSpeed: { type: 'number', default: 180, min: 1, max: 2000, live: true, description: 'pixels per second' },
+    pingCooldown: { type: 'integer', default: 1000, min: 0, max: 60000, live: true, description: 'milliseconds' },
+    pingDuration: { type: 'integer', default: 2000, min: 100, max: 60000, live: true, description: 'milliseconds' },
+    maxPingRadius: { type: 'number', default: 300, min: 10, max: 5000, live: true, description: 'Pulse sonar range in pixels' },
+    minBots: { type: 'integer', default: 5, min: 0, max: 500, live: true, description: 'Minimum number of bots' },
+    maxBots: { type: 'integer', default: 10, min: 0, max: 500, live: true, description: 'Maximum number of bots' },
+    botDifficulty: { type: 'string', default: 'normal', values: Object.keys(BOT_DIFFICULTIES), live: true, description: 'Bot difficulty for new rooms (rooms can pick their own)' },
+    botDirectionChangeRate: { type: 'number', default: 0.2, min: 0, max: 30, live: true, description: 'Times per second a patrolling bot picks a new direction' },
+    // Combat settings (the pistol uses these as they are; the other weapons scale with them, see lib/weapons.js)
+    maxHealth: { type: 'integer', default: 100, min: 1, max: 10000, description: 'Health of every player and bot' },
+    bulletDamage: { type: 'number', default: 10, min: 0, max: 10000, live: true, description: 'Health lost per hit' },
+    bulletSpeed: { type: 'number', default: 100, min: 1, max: 5000, live: true, description: 'pixels per second' },
+    bulletLifetime: { type: 'integer', default: 2000, min: 100, max: 60000, live: true, description: 'milliseconds' },
+    shootCooldown: { type: 'integer', default: 200, min: MIN_SHOOT_COOLDOWN, max: 60000, live: true, description: 'milliseconds between pistol shots' },
+    maxRewindTime: { type: 'integer', default: 250, min: 0, max: 1000, live: true, description: 'Furthest back in milliseconds hits are checked for laggy shooters' },
+    respawnTime: { type: 'integer', default: 3000, min: 0, max: 60000, live: true, description: 'milliseconds' },
+    // Round settings
+    warmupTime: { type: 'integer', default: 15000, min: 0, max: 600000, live: true, description: 'milliseconds of practice before a round counts' },
+    roundTime: { type: 'integer', default: 300000, min: 10000, max: 7200000, live: true, description: 'milliseconds per round' },
+    scoreLimit: { type: 'integer', default: 5000, min: 0, max: 1000000, live: true, description: 'First to this score wins the round (0 = no limit)' },
+    killLimit: { type: 'integer', default: 25, min: 0, max: 10000, live: true, description: 'First to this many kills wins the round (0 = no limit)' },
+    intermissionTime: { type: 'integer', default: 10000, min: 0, max: 600000, live: true, description: 'milliseconds the results are shown before the next round' },
+    // Game mode settings
+    gameMode: { type: 'string', default: 'ffa', values: ['ffa', 'teams'], description: '\'ffa\' (free-for-all) or \'teams\' (team deathmatch)' },
+    teamCount: { type: 'integer', default: 2, min: 2, max: 4, description: 'Number of teams in team mode' },
+    friendlyFire: { type: 'boolean', default: false, live: true, description: 'Whether bullets hurt teammates' },
+    // Pickup settings
+    pickups: { type: 'boolean', default: true, live: true, description: 'Place health packs, sonar boosters and other pickups on the map' },
+    pickupCount: { type: 'integer', default: 8, min: 0, max: 100, description: 'Pickups placed at random on maps without pickup points' },
+    pickupRespawnTime: { type: 'integer', default: 20000, min: 0, max: 600000, live: true, description: 'milliseconds before a collected pickup comes back' },
+    // Chat settings
+    chatMaxLength: { type: 'integer', default: 100, min: 1, max: 500, live: true, description: 'Longest chat message in characters' },
+    chatRateLimit: { type: 'integer', default: 5, min: 1, max: 100, live: true, description: 'Chat messages a player can send within chatRateWindow' },
+    chatRateWindow: { type: 'integer', default: 10000, min: 1000, max: 600000, live: true, description: 'milliseconds the chat rate limit counts messages over' },
+    chatFilter: { type: 'boolean', default: true, live: true, description: 'Hide offensive words in chat behind asterisks' },
+    // Replay settings
+    recordReplays: { type: 'boolean', default: false, live: true, description: 'Save every match to replays/ for the replay viewer (from the next match)' },
+    // Visibility (fog of war) settings
+    pingRevealMargin: { type: 'number', default: 100, min: 0, max: 1000, live: true, description: 'How far beyond the ping wave enemies are still revealed' },
+    combatRevealRange: { type: 'number', default: 350, min: 0, max: 5000, live: true, description: 'Shooting reveals enemies within this range' },
+    combatRevealTime: { type: 'integer', default: 900, min: 0, max: 60000, live: true, description: 'milliseconds a shot keeps that area revealed' },
+    proximityRevealRange: { type: 'number', default: 60, min: 0, max: 1000, live: true, description: 'Enemies this close are always visible' }
+};
+
+// Every setting at its default value
+const DEFAULT_CONFIG = Object.fromEntries(Object.entries(SCHEMA).map(([key, rule]) => [key, rule.default]));
+
+// Named sets of overrides, applied on top of the defaults
+const PRESETS = {
+    casual: {
+        maxHealth: 150,
+        bulletDamage: 8,
+        respawnTime: 2000,
+        botDifficulty: 'easy',
+        pingCooldown: 700,
+        roundTime: 600000,
+        scoreLimit: 0,
+        killLimit: 0
+    },
+    hardcore: {
+        maxHealth: 60,
+        bulletDamage: 20,
+        respawnTime: 5000,
+        botDifficulty: 'hard',
+        pingCooldown: 1500,
+        proximityRevealRange: 40,
+        friendlyFire: true,
+        killLimit: 15
+    }
+};
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// botDifficulty -> BOT_DIFFICULTY
+function toEnvName(key) {
+    return key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+// botDifficulty -> bot-difficulty
+function toFlagName(key) {
+    return key.replace(/([A-Z])/g, '-$1').toLowerCase();
+}
+
+// Values from the environment and CLI arrive as text
+function parseText(text, type) {
+    const trimmed = text.trim();
+    if (type === 'integer' || type === 'number') {
+        return /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(trimmed) ? Number(trimmed) : text;
+    }
+    if (type === 'boolean') {
+        if (['true', 'yes', 'on', '1'].includes(trimmed.toLowerCase())) return true;
+        if (['false', 'no', 'off', '0'].includes(trimmed.toLowerCase())) return false;
+    }
+    return text;
+}
+
+// Why a value isn't acceptable for a setting (null when it is)
+function checkValue(key, value) {
+    const rule = SCHEMA[key];
+    const shown = JSON.stringify(value);
+    
+    if (rule.type === 'integer' || rule.type === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number (got ${shown})`;
+        if (rule.type === 'integer' && !Number.isInteger(value)) return `${key} must be a whole number (got ${shown})`;
+        if (value < rule.min || value > rule.max) return `${key} must be between ${rule.min} and ${rule.max} (got ${shown})`;
+    } else if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') return `${key} must be true or false (got ${shown})`;
+    } else {
+        if (typeof value !== 'string' || value === '') return `${key} must be a non-empty string (got ${shown})`;
+        if (rule.values && !rule.values.includes(value)) return `${key} must be one of ${rule.values.join(', ')} (got ${shown})`;
+    }
+    return null;
+}
+
+// Minimal YAML: one "key: value" per line, # comments, quoted or plain scalars
+function parseYaml(text, fileName) {
+    const result = {};
+    text.split(/\r?\n/).forEach((line, index) => {
+        const content = line.replace(/(^|\s)#.*$/, '').trimEnd();
+        if (content.trim() === '' || content.trim() === '---') return;
+        
+        const match = content.match(/^([A-Za-z_][\w-]*)\s*:\s*(.*)$/);
+        if (!match) {
+            throw new ConfigError([`${fileName} line ${index + 1}: expected "key: value" (nested settings aren't supported)`]);
+        }
+        
+        const raw = match[2].trim();
+        let value;
+        if (/^(["']).*\1$/.test(raw)) {
+            value = raw.slice(1, -1);
+        } else if (raw === 'true' || raw === 'false') {
+            value = raw === 'true';
+        } else if (/^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(raw)) {
+            value = Number(raw);
+        } else if (raw === '' || raw === '~' || raw === 'null') {
+            value = null;
+        } else {
+            value = raw;
+        }
+        result[match[1]] = value;
+    });
+    return result;
+}
+
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new ConfigError([`Can't read config file ${file}: ${error.message}`]);
+    }
+    
+    const fileName = path.basename(file);
+    if (/\.ya?ml$/i.test(file)) return parseYaml(text, fileName);
+    
+    try {
+        const parsed = JSON.parse(text);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('expected an object of settings');
+        }
+        return parsed;
+    } catch (error) {
+        throw new ConfigError([`${fileName} is not valid JSON: ${error.message}`]);
+    }
+}
+
+// --name=value and --name value pairs
+function parseFlags(argv) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z][a-z0-9-]*)(?:=(.*))?$/);
+        if (!match) continue;
+        
+        if (match[2] !== undefined) {
+            flags[match[1]] = match[2];
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            flags[match[1]] = argv[++i];
+        } else {
+            flags[match[1]] = 'true'; // A bare flag switches a setting on
+        }
+    }
+    return flags;
+}
+
+// The config file to use: named explicitly, or the first default one that exists (null for none)
+function findConfigFile(flags, env, rootDir) {
+    const named = flags.config || env.CONFIG_FILE;
+    if (named) return path.resolve(rootDir, named);
+    
+    const found = DEFAULT_FILES.map(name => path.join(rootDir, name)).find(file => fs.existsSync(file));
+    return found || null;
+}
+
+/**
+ * Work out the game config from every source.
+ * Returns { gameConfig, file, preset }; throws a ConfigError listing every bad value.
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env, rootDir = ROOT_DIR } = {}) {
+    const problems = [];
+    const flags = parseFlags(argv);
+    const file = findConfigFile(flags, env, rootDir);
+    const fileSettings = file ? readConfigFile(file) : {};
+    const fileName = file ? path.basename(file) : null;
+    
+    // Collect values, later sources overriding earlier ones, remembering where each came from
+    const values = {};
+    const origins = {};
+    const set = (key, value, origin) => {
+        values[key] = value;
+        origins[key] = origin;
+    };
+    
+    Object.entries(DEFAULT_CONFIG).forEach(([key, value]) => set(key, value, 'default'));
+    
+    const preset = flags.preset || env.PRESET || fileSettings.preset || null;
+    if (preset !== null) {
+        if (Object.prototype.hasOwnProperty.call(PRESETS, preset)) {
+            Object.entries(PRESETS[preset]).forEach(([key, value]) => set(key, value, `preset ${preset}`));
+        } else {
+            problems.push(`Unknown preset ${JSON.stringify(preset)} (available: ${Object.keys(PRESETS).join(', ')})`);
+        }
+    }
+    
+    Object.entries(fileSettings).forEach(([key, value]) => {
+        if (key === 'preset') return;
+        if (!SCHEMA[key]) {
+            problems.push(`Unknown setting ${JSON.stringify(key)} in ${fileName}`);
+            return;
+        }
+        set(key, value, fileName);
+    });
+    
+    Object.keys(SCHEMA).forEach(key => {
+        const envName = toEnvName(key);
+        if (env[envName] !== undefined && env[envName] !== '') {
+            set(key, parseText(env[envName], SCHEMA[key].type), `environment variable ${envName}`);
+        }
+        
+        const flagName = toFlagName(key);
+        if (flags[flagName] !== undefined) {
+            set(key, parseText(flags[flagName], SCHEMA[key].type), `--${flagName}`);
+        }
+    });
+    
+    Object.keys(flags).forEach(flagName => {
+        const known = flagName === 'config' || flagName === 'preset' ||
+            Object.keys(SCHEMA).some(key => toFlagName(key) === flagName);
+        if (!known) problems.push(`Unknown option --${flagName}`);
+    });
+    
+    // Check every value, naming where bad ones came from
+    Object.keys(SCHEMA).forEach(key => {
+        const problem = checkValue(key, values[key]);
+        if (problem) problems.push(`${problem} from ${origins[key]}`);
+    });
+    if (problems.length === 0 && values.minBots > values.maxBots) {
+        problems.push(`minBots (${values.minBots}) can't be more than maxBots (${values.maxBots})`);
+    }
+    
+    if (problems.length > 0) throw new ConfigError(problems);
+    return { gameConfig: values, file, preset };
+}
+
+/**
+ * Compare two configs. Returns { live, restart }: the changed settings that can be applied
+ * to a running server (name -> new value), and the names of those that need a restart.
+ */
+function diffConfig(previous, next) {
+    const live = {};
+    const restart = [];
+    Object.keys(SCHEMA).forEach(key => {
+        if (previous[key] === next[key]) return;
+        if (SCHEMA[key].live) {
+            live[key] = next[key];
+        } else {
+            restart.push(key);
+        }
+    });
+    return { live, restart };
+}
+
+/**
+ * Check settings changed by hand on a running server (from the admin panel).
+ * Returns the problems found: only live settings with valid values can be changed.
+ */
+function checkLiveChanges(current, changes) {
+    const problems = [];
+    Object.entries(changes).forEach(([key, value]) => {
+        if (!SCHEMA[key]) {
+            problems.push(`Unknown setting ${JSON.stringify(key)}`);
+        } else if (!SCHEMA[key].live) {
+            problems.push(`${key} can only be changed with a restart`);
+        } else {
+            const problem = checkValue(key, value);
+            if (problem) problems.push(problem);
+        }
+    });
+    
+    const merged = { ...current, ...changes };
+    if (problems.length === 0 && merged.minBots > merged.maxBots) {
+        problems.push(`minBots (${merged.minBots}) can't be more than maxBots (${merged.maxBots})`);
+    }
+    return problems;
+}
+
+// Call onChange whenever the config file is saved
+function watchConfigFile(file, onChange) {
+    fs.watchFile(file, { interval: WATCH_INTERVAL, persistent: false }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) onChange();
+    });
+}
+
+module.exports = { SCHEMA, DEFAULT_CONFIG, PRESETS, ConfigError, loadConfig, diffConfig, checkLiveChanges, watchConfigFile };
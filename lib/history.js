@@ -0,0 +1,47 @@
+/**
+ * Echo.io Position History
+ * Every entity keeps where it was over the last few ticks, so shots from laggy players can be
+ * checked against what they actually saw instead of where targets have moved on to since.
+ */
+
+// Remember where an entity is now and forget anything older than keepFor milliseconds
+function recordPosition(entity, now, keepFor) {
+    entity.history.push({ time: now, x: entity.x, y: entity.y, alive: entity.alive });
+    
+    while (entity.history.length > 0 && now - entity.history[0].time > keepFor) {
+        entity.history.shift();
+    }
+}
+
+/**
+ * Where an entity was at a given time, interpolated between recorded ticks.
+ * Times after the latest record give the current position; times before the oldest give the oldest.
+ * Returns null if the entity was dead (or respawning) at that time.
+ */
+function getPositionAt(entity, time) {
+    const history = entity.history;
+    const latest = history[history.length - 1];
+    if (!latest || time >= latest.time) {
+        return entity.alive ? { x: entity.x, y: entity.y } : null;
+    }
+    
+    let index = history.length - 1;
+    while (index > 0 && history[index - 1].time > time) {
+        index--;
+    }
+    
+    const after = history[index];
+    const before = history[index - 1];
+    if (!before) {
+        return after.alive ? { x: after.x, y: after.y } : null;
+    }
+    if (!before.alive || !after.alive) return null;
+    
+    const t = (time - before.time) / (after.time - before.time);
+    return {
+        x: before.x + (after.x - before.x) * t,
+        y: before.y + (after.y - before.y) * t
+    };
+}
+
+module.exports = { recordPosition, getPositionAt };
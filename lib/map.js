@@ -0,0 +1,96 @@
+/**
+ * Echo.io Map Loader
+ * Reads arena layouts (walls, spawn points and pickup spots) from JSON files in the maps/ directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createWall } = require('../shared/geometry');
+const { PICKUP_TYPES } = require('./pickups');
+
+const MAPS_DIR = path.join(__dirname, '..', 'maps');
+
+// Parsed maps, so every arena on the same map shares one copy
+const mapCache = new Map();
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Check a wall definition is either a rectangle or a list of at least three points
+function validateWall(wall, index, mapName) {
+    if (Array.isArray(wall.points)) {
+        const validPoints = wall.points.every(point => Array.isArray(point) && isNumber(point[0]) && isNumber(point[1]));
+        if (wall.points.length < 3 || !validPoints) {
+            throw new Error(`Map "${mapName}": wall ${index} needs at least three [x, y] points`);
+        }
+        return;
+    }
+    
+    if (![wall.x, wall.y, wall.width, wall.height].every(isNumber) || wall.width <= 0 || wall.height <= 0) {
+        throw new Error(`Map "${mapName}": wall ${index} needs numeric x, y, width and height (or points)`);
+    }
+}
+
+// Check a pickup spot is [x, y], or [x, y, type] for a spot that always holds the same item
+function validatePickupPoint(point, index, mapName) {
+    if (!Array.isArray(point) || !isNumber(point[0]) || !isNumber(point[1])) {
+        throw new Error(`Map "${mapName}": pickup point ${index} needs numeric [x, y]`);
+    }
+    if (point[2] !== undefined && !PICKUP_TYPES[point[2]]) {
+        throw new Error(`Map "${mapName}": pickup point ${index} has unknown type "${point[2]}" (expected one of ${Object.keys(PICKUP_TYPES).join(', ')})`);
+    }
+}
+
+/**
+ * Load a map by name (maps/<name>.json).
+ * Returns { name, width, height, walls, spawnPoints, pickupPoints } with walls converted to polygons.
+ * pickupPoints is empty when the map leaves pickup placement to chance.
+ */
+function loadMap(mapName) {
+    if (mapCache.has(mapName)) return mapCache.get(mapName);
+    
+    if (!/^[a-z0-9_-]+$/i.test(mapName)) {
+        throw new Error(`Invalid map name "${mapName}"`);
+    }
+    
+    const filePath = path.join(MAPS_DIR, `${mapName}.json`);
+    let definition;
+    try {
+        definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not load map "${mapName}" from ${filePath}: ${error.message}`);
+    }
+    
+    if (!isNumber(definition.width) || !isNumber(definition.height)) {
+        throw new Error(`Map "${mapName}": width and height must be numbers`);
+    }
+    
+    const wallDefinitions = definition.walls || [];
+    wallDefinitions.forEach((wall, index) => validateWall(wall, index, mapName));
+    
+    const pickupDefinitions = definition.pickupPoints || [];
+    pickupDefinitions.forEach((point, index) => validatePickupPoint(point, index, mapName));
+    
+    const map = {
+        name: definition.name || mapName,
+        width: definition.width,
+        height: definition.height,
+        walls: wallDefinitions.map(createWall),
+        spawnPoints: (definition.spawnPoints || []).map(point => ({ x: point[0], y: point[1] })),
+        pickupPoints: pickupDefinitions.map(point => ({ x: point[0], y: point[1], type: point[2] || null }))
+    };
+    
+    mapCache.set(mapName, map);
+    return map;
+}
+
+// Names of the maps in the maps/ directory
+function listMaps() {
+    return fs.readdirSync(MAPS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .sort();
+}
+
+module.exports = { loadMap, listMaps };
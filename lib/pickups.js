@@ -0,0 +1,124 @@
+/**
+ * Echo.io Pickups
+ * Items lying around the map. Whoever the server sees touching one first collects it; health is
+ * restored on the spot, the other items are effects that wear off after a while. Collected items
+ * come back after pickupRespawnTime. Like players, pickups stay hidden until sonar reveals them.
+ */
+
+const { canTakeAmmo, refillReserves } = require('./weapons');
+
+const PICKUP_RADIUS = 16; // px; touching distance is this plus the player's radius
+
+/**
+ * Pickup types. weight is how often a type turns up at a spot without a fixed type (0 = never),
+ * duration how long its effect lasts in milliseconds (0 for instant items).
+ */
+const PICKUP_TYPES = {
+    // Restores health, up to the maximum (not collected at full health)
+    health: {
+        id: 'health',
+        name: 'Health Pack',
+        color: 'hsl(120, 80%, 50%)',
+        weight: 3,
+        duration: 0,
+        amount: 40
+    },
+    // Every sonar type reaches further
+    sonarBoost: {
+        id: 'sonarBoost',
+        name: 'Sonar Booster',
+        color: 'hsl(190, 90%, 55%)',
+        weight: 2,
+        duration: 20000,
+        rangeMultiplier: 1.5
+    },
+    // Sonar recharges faster
+    quickPing: {
+        id: 'quickPing',
+        name: 'Ping Capacitor',
+        color: 'hsl(50, 90%, 55%)',
+        weight: 2,
+        duration: 20000,
+        cooldownMultiplier: 0.5
+    },
+    // Pings are silent: only we and our team hear them, so nobody else learns where they came from
+    silence: {
+        id: 'silence',
+        name: 'Stealth Module',
+        color: 'hsl(280, 70%, 65%)',
+        weight: 1,
+        duration: 15000
+    },
+    // Tops up the spare ammo of every weapon (not collected with full reserves)
+    ammo: {
+        id: 'ammo',
+        name: 'Ammo Crate',
+        color: 'hsl(30, 90%, 55%)',
+        weight: 2,
+        duration: 0
+    }
+};
+
+// A random type by weight
+function pickPickupType(random) {
+    const types = Object.values(PICKUP_TYPES);
+    let roll = random() * types.reduce((total, type) => total + type.weight, 0);
+    for (const type of types) {
+        roll -= type.weight;
+        if (roll < 0) return type.id;
+    }
+    return 'health';
+}
+
+function hasEffect(entity, typeId, now) {
+    return (entity.effects[typeId] || 0) > now;
+}
+
+// Nothing happens when a player walks over a health pack or ammo crate they don't need
+function canCollect(entity, typeId, weapons) {
+    if (typeId === 'health') return entity.health < entity.maxHealth;
+    if (typeId === 'ammo') return canTakeAmmo(entity, weapons);
+    return true;
+}
+
+/**
+ * Give an entity what a pickup holds.
+ * Returns when its effect wears off (0 for instant items).
+ */
+function applyPickup(entity, typeId, now, weapons) {
+    const type = PICKUP_TYPES[typeId];
+    if (type.id === 'health') {
+        entity.health = Math.min(entity.maxHealth, entity.health + type.amount);
+    } else if (type.id === 'ammo') {
+        refillReserves(entity, weapons);
+    }
+    if (type.duration === 0) return 0;
+    
+    entity.effects[type.id] = now + type.duration;
+    return entity.effects[type.id];
+}
+
+// Sonar settings for one entity, with its active effects applied
+function getSonarRadius(entity, sonarType, now) {
+    return hasEffect(entity, 'sonarBoost', now) ? sonarType.radius * PICKUP_TYPES.sonarBoost.rangeMultiplier : sonarType.radius;
+}
+
+function getSonarCooldown(entity, sonarType, now) {
+    return hasEffect(entity, 'quickPing', now) ? sonarType.cooldown * PICKUP_TYPES.quickPing.cooldownMultiplier : sonarType.cooldown;
+}
+
+function getSonarLoudness(entity, sonarType, now) {
+    return hasEffect(entity, 'silence', now) ? 0 : sonarType.loudness;
+}
+
+module.exports = {
+    PICKUP_RADIUS,
+    PICKUP_TYPES,
+    pickPickupType,
+    hasEffect,
+    canCollect,
+    applyPickup,
+    getSonarRadius,
+    getSonarCooldown,
+    getSonarLoudness
+};
@@ -0,0 +1,168 @@
+/**
+ * Echo.io Player Profiles
+ * Lifetime stats for guest players, kept in a local JSON file.
+ * Browsers keep a secret guest token; profiles are stored under a hash of it,
+ * so the public profile id can be shared without letting others play as you.
+ * A profile is only stored once its guest joins a match, and only the MAX_PROFILES
+ * most recently seen are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SAVE_DELAY = 5000; // Batch writes: at most one save every 5 seconds
+const MAX_PROFILES = 10000; // Past this, the profile not seen for the longest is dropped
+const TOKEN_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+const PROFILE_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+// Counters that only ever go up
+const COUNTERS = ['kills', 'deaths', 'gamesPlayed', 'pingsFired'];
+
+function createProfile(id, now) {
+    return {
+        id: id,
+        name: 'Anonymous',
+        kills: 0,
+        deaths: 0,
+        bestSurvivalTime: 0, // milliseconds
+        gamesPlayed: 0,
+        pingsFired: 0,
+        createdAt: now,
+        lastSeen: now
+    };
+}
+
+class ProfileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.profiles = new Map();
+        this.saveTimer = null;
+    }
+    
+    // Read existing profiles; a missing file just means nobody has played yet
+    load() {
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`⚠️  Could not read profiles from ${this.filePath}: ${error.message}`);
+            }
+            return;
+        }
+        
+        (saved.profiles || []).forEach(profile => {
+            if (PROFILE_ID_PATTERN.test(profile.id)) {
+                this.profiles.set(profile.id, { ...createProfile(profile.id, Date.now()), ...profile });
+            }
+        });
+        this.trim();
+    }
+    
+    // Public profile id for a guest token (null for anything that isn't a valid token)
+    getProfileId(token) {
+        if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) return null;
+        return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+    }
+    
+    // Profile for a connecting guest (a blank one, not stored yet, if they have never played)
+    connect(token) {
+        const id = this.getProfileId(token);
+        if (!id) return null;
+        
+        const now = Date.now();
+        const profile = this.profiles.get(id);
+        if (!profile) return createProfile(id, now);
+        
+        profile.lastSeen = now;
+        this.scheduleSave();
+        return profile;
+    }
+    
+    // Profile for a guest joining a match, stored the first time they do
+    join(id) {
+        if (!PROFILE_ID_PATTERN.test(id)) return null;
+        
+        const now = Date.now();
+        let profile = this.profiles.get(id);
+        if (!profile) {
+            profile = createProfile(id, now);
+            this.profiles.set(id, profile);
+            this.trim();
+        }
+        profile.lastSeen = now;
+        this.scheduleSave();
+        return profile;
+    }
+    
+    // Drop the profiles not seen for the longest once there are too many
+    trim() {
+        if (this.profiles.size <= MAX_PROFILES) return;
+        
+        [...this.profiles.values()]
+            .sort((a, b) => a.lastSeen - b.lastSeen)
+            .slice(0, this.profiles.size - MAX_PROFILES)
+            .forEach(profile => this.profiles.delete(profile.id));
+    }
+    
+    get(id) {
+        return this.profiles.get(id) || null;
+    }
+    
+    setName(id, name) {
+        const profile = this.profiles.get(id);
+        if (!profile) return;
+        profile.name = name;
+        this.scheduleSave();
+    }
+    
+    // Add to lifetime counters, e.g. addStats(id, { kills: 1 })
+    addStats(id, changes) {
+        const profile = this.profiles.get(id);
+        if (!profile) return;
+        
+        COUNTERS.forEach(counter => {
+            if (changes[counter]) profile[counter] += changes[counter];
+        });
+        profile.lastSeen = Date.now();
+        this.scheduleSave();
+    }
+    
+    // Keep the longest single life
+    recordSurvival(id, survivalTime) {
+        const profile = this.profiles.get(id);
+        if (!profile || survivalTime <= profile.bestSurvivalTime) return;
+        profile.bestSurvivalTime = Math.round(survivalTime);
+        this.scheduleSave();
+    }
+    
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SAVE_DELAY);
+        this.saveTimer.unref();
+    }
+    
+    // Write to a temporary file first so a crash never leaves half a file behind
+    save() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        
+        const data = JSON.stringify({ profiles: [...this.profiles.values()] });
+        const tempPath = `${this.filePath}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(tempPath, data);
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.error(`⚠️  Could not save profiles to ${this.filePath}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = { ProfileStore, MAX_PROFILES };
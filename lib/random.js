@@ -0,0 +1,24 @@
+/**
+ * Echo.io Random Numbers
+ * Seeded pseudo-random numbers (mulberry32), so a game world run with the same seed plays out
+ * exactly the same way, in tests or when chasing a bug.
+ */
+
+// Returns a Math.random() replacement: numbers in [0, 1), the same sequence for the same seed
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Seed for runs that don't need to be repeatable
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+module.exports = { createRandom, randomSeed };
@@ -0,0 +1,187 @@
+/**
+ * Echo.io Replay Recorder
+ * Records one match (a round, from warmup ending to results) into a compact JSON file:
+ * a header with the map and everyone who took part, then one entry per server tick.
+ *
+ * File layout (version 2; version 1 had bullet velocities per 100ms tick instead of per second):
+ *   entities: [{ id, name, color, team, isBot }]  - referenced by index everywhere else
+ *   ticks:    [[time, states, bullets, visibility]]
+ *             states:     [[entity, x, y, health, alive, score, kills, deaths]]
+ *             bullets:    [[entity, x, y, vx, vy]] (velocity in pixels per second)
+ *             visibility: { entity: [[entity, visibility], ...] } for each human player
+ *   events:   [[time, type, data]] for pings, hits, deaths and name changes
+ * Times are milliseconds since the recording started.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPLAY_VERSION = 2;
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, '..', 'replays');
+const REPLAY_FILE_PATTERN = /^[A-Z0-9]+-round\d+-\d+\.json$/;
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+class ReplayRecorder {
+    constructor(world, now) {
+        this.startedAt = Math.round(now); // Whole milliseconds, it ends up in the file name
+        this.entityIndex = new Map(); // entity id -> index into header.entities
+        this.header = {
+            version: REPLAY_VERSION,
+            arenaCode: world.code,
+            round: world.round.number,
+            gameMode: world.gameConfig.gameMode,
+            startedAt: this.startedAt,
+            duration: 0,
+            map: {
+                name: world.map.name,
+                width: world.map.width,
+                height: world.map.height,
+                walls: world.map.walls
+            },
+            teams: world.isTeamMode() ? world.getTeams() : [],
+            sonarTypes: world.sonarTypes,
+            entities: []
+        };
+        this.ticks = [];
+        this.events = [];
+    }
+    
+    // Index of an entity in the header, adding it the first time it shows up
+    getEntityIndex(entity) {
+        if (!this.entityIndex.has(entity.id)) {
+            this.entityIndex.set(entity.id, this.header.entities.length);
+            this.header.entities.push({
+                id: entity.id,
+                name: entity.name,
+                color: entity.color,
+                team: entity.team,
+                isBot: entity.isBot
+            });
+        }
+        return this.entityIndex.get(entity.id);
+    }
+    
+    // Snapshot everything that moved this tick
+    recordTick(world, now) {
+        const entities = [...world.players.values(), ...world.bots.values()];
+        
+        const states = entities.map(entity => [
+            this.getEntityIndex(entity),
+            round1(entity.x),
+            round1(entity.y),
+            Math.max(0, Math.round(entity.health)),
+            entity.alive ? 1 : 0,
+            entity.score,
+            entity.kills,
+            entity.deaths
+        ]);
+        
+        const bullets = [];
+        world.bullets.forEach(bullet => {
+            const owner = world.players.get(bullet.ownerId) || world.bots.get(bullet.ownerId);
+            if (!owner) return;
+            bullets.push([this.getEntityIndex(owner), round1(bullet.x), round1(bullet.y), round1(bullet.vx), round1(bullet.vy)]);
+        });
+        
+        // What each human player could see, for the fog-of-war view
+        const visibility = {};
+        world.players.forEach(player => {
+            visibility[this.getEntityIndex(player)] = [...player.visible].map(([id, amount]) => {
+                const target = world.players.get(id) || world.bots.get(id);
+                return [this.getEntityIndex(target), Math.round(amount * 100) / 100];
+            });
+        });
+        
+        this.ticks.push([Math.round(now - this.startedAt), states, bullets, visibility]);
+    }
+    
+    // Something happened that the tick snapshots can't show (entity ids are replaced by indexes)
+    addEvent(now, type, data) {
+        this.events.push([Math.round(now - this.startedAt), type, data]);
+    }
+    
+    recordPing(world, entity, ping, now) {
+        // Quiet pings remember which human players heard them
+        let heardBy = null;
+        if (ping.loudness !== Infinity) {
+            heardBy = [...world.players.values()]
+                .filter(player => world.canHearPing(player, ping))
+                .map(player => this.getEntityIndex(player));
+        }
+        
+        this.addEvent(now, 'ping', {
+            entity: this.getEntityIndex(entity),
+            type: ping.type,
+            x: round1(ping.x),
+            y: round1(ping.y),
+            maxRadius: ping.maxRadius,
+            duration: ping.duration,
+            arc: ping.arc,
+            direction: ping.direction,
+            heardBy: heardBy
+        });
+    }
+    
+    recordHit(target, shooter, damage, now) {
+        this.addEvent(now, 'hit', {
+            entity: this.getEntityIndex(target),
+            shooter: shooter ? this.getEntityIndex(shooter) : null,
+            damage: damage
+        });
+    }
+    
+    recordDeath(target, eliminator, now) {
+        this.addEvent(now, 'death', {
+            entity: this.getEntityIndex(target),
+            eliminatedBy: eliminator ? this.getEntityIndex(eliminator) : null
+        });
+    }
+    
+    recordName(entity, now) {
+        this.addEvent(now, 'name', { entity: this.getEntityIndex(entity), name: entity.name });
+    }
+    
+    // Write the replay to disk; the file name sorts by arena, round and start time
+    save(now) {
+        const fileName = `${this.header.arenaCode}-round${this.header.round}-${this.startedAt}.json`;
+        const data = JSON.stringify({
+            ...this.header,
+            duration: Math.round(now - this.startedAt),
+            ticks: this.ticks,
+            events: this.events
+        });
+        
+        fs.promises.mkdir(REPLAY_DIR, { recursive: true })
+            .then(() => fs.promises.writeFile(path.join(REPLAY_DIR, fileName), data))
+            .then(() => console.log(`🎬 Replay saved: ${fileName} (${Math.round(data.length / 1024)} KB)`))
+            .catch(error => console.error(`⚠️  Could not save replay ${fileName}: ${error.message}`));
+    }
+}
+
+// Saved replays, newest first
+function listReplays() {
+    let files;
+    try {
+        files = fs.readdirSync(REPLAY_DIR);
+    } catch (error) {
+        return [];
+    }
+    
+    return files
+        .filter(file => REPLAY_FILE_PATTERN.test(file))
+        .map(file => {
+            const [arenaCode, round, startedAt] = file.replace('.json', '').split('-');
+            return {
+                file: file,
+                arenaCode: arenaCode,
+                round: Number(round.replace('round', '')),
+                startedAt: Number(startedAt)
+            };
+        })
+        .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+module.exports = { ReplayRecorder, listReplays, REPLAY_DIR };
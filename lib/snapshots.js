@@ -0,0 +1,93 @@
+/**
+ * Echo.io Snapshot Encoder
+ * Game state goes out as deltas: each client acknowledges the snapshots it receives, and the next
+ * one only carries entities that changed (or disappeared) since the newest acknowledged snapshot.
+ * Snapshots may be dropped on the way (they are sent volatile), so deltas are never built on
+ * anything the client hasn't confirmed. Without an acknowledged baseline a full snapshot is sent.
+ *
+ * Entity states are arrays of quantized numbers: [netId, x, y, health, alive, visibility (0-100)]
+ * Pickups are few and never move, so the ones a client can see go out whole with every snapshot
+ * as [id, x, y, type, visibility (0-100)].
+ */
+
+const MAX_UNACKNOWLEDGED = 32; // Snapshots kept per client while waiting for an acknowledgement
+
+// Sequence numbers are unique across all encoders, so a late acknowledgement meant for a client's
+// previous encoder (before switching arenas, or from spectating to playing) can never match
+let nextSeq = 1;
+
+// Whole pixels and percentages are plenty for drawing
+function quantizeEntity(entity, visibility) {
+    return [
+        entity.netId,
+        Math.round(entity.x),
+        Math.round(entity.y),
+        Math.max(0, Math.round(entity.health)),
+        entity.alive ? 1 : 0,
+        Math.round(visibility * 100)
+    ];
+}
+
+function quantizePickup(pickup, visibility) {
+    return [pickup.id, Math.round(pickup.x), Math.round(pickup.y), pickup.type, Math.round(visibility * 100)];
+}
+
+function sameState(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+class SnapshotEncoder {
+    constructor() {
+        this.acknowledged = 0; // Newest snapshot the client confirmed (0 = none)
+        this.sent = new Map(); // seq -> Map of netId -> entity state, for snapshots that may become baselines
+    }
+    
+    // The client has this snapshot, so it can serve as a baseline
+    acknowledge(seq) {
+        if (!this.sent.has(seq) || seq <= this.acknowledged) return;
+        
+        this.acknowledged = seq;
+        this.sent.forEach((states, sentSeq) => {
+            if (sentSeq < seq) this.sent.delete(sentSeq);
+        });
+    }
+    
+    /**
+     * Build the next snapshot from the current entity states (a Map of netId -> quantized state).
+     * Returns { seq, base, entities, hidden }; base is 0 for a full snapshot.
+     */
+    encode(states) {
+        const seq = nextSeq++;
+        const baseline = this.sent.get(this.acknowledged);
+        const snapshot = {
+            seq: seq,
+            base: baseline ? this.acknowledged : 0,
+            entities: [],
+            hidden: [] // netIds that were in the baseline but aren't any more
+        };
+        
+        states.forEach((state, netId) => {
+            const previous = baseline && baseline.get(netId);
+            if (!previous || !sameState(previous, state)) {
+                snapshot.entities.push(state);
+            }
+        });
+        if (baseline) {
+            baseline.forEach((state, netId) => {
+                if (!states.has(netId)) snapshot.hidden.push(netId);
+            });
+        }
+        
+        // A client that stops acknowledging eventually just gets full snapshots again
+        this.sent.set(seq, states);
+        if (this.sent.size > MAX_UNACKNOWLEDGED) {
+            const oldest = this.sent.keys().next().value;
+            this.sent.delete(oldest);
+            if (oldest === this.acknowledged) this.acknowledged = 0;
+        }
+        
+        return snapshot;
+    }
+}
+
+module.exports = { SnapshotEncoder, MAX_UNACKNOWLEDGED, quantizeEntity, quantizePickup };
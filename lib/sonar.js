@@ -0,0 +1,62 @@
+/**
+ * Echo.io Sonar Types
+ * Each sonar mode has its own range, shape (arc), wave duration, cooldown, charge time
+ * and loudness: how far away other players notice the ping (and get to see what it reveals).
+ */
+
+const FULL_CIRCLE = Math.PI * 2;
+
+/**
+ * Build the sonar modes for an arena.
+ * The standard pulse keeps using the classic ping settings from gameConfig.
+ */
+function createSonarTypes(gameConfig) {
+    return {
+        // Omnidirectional ping everyone on the map notices
+        pulse: {
+            id: 'pulse',
+            name: 'Pulse',
+            radius: gameConfig.maxPingRadius,
+            arc: FULL_CIRCLE,
+            duration: gameConfig.pingDuration,
+            cooldown: gameConfig.pingCooldown,
+            chargeTime: 0,
+            loudness: Infinity
+        },
+        // Narrow, long beam aimed at the mouse
+        cone: {
+            id: 'cone',
+            name: 'Cone',
+            radius: 650,
+            arc: Math.PI / 4,
+            duration: 1500,
+            cooldown: 2500,
+            chargeTime: 0,
+            loudness: 700
+        },
+        // Slow-charging long-range pulse
+        deep: {
+            id: 'deep',
+            name: 'Deep Pulse',
+            radius: 900,
+            arc: FULL_CIRCLE,
+            duration: 4000,
+            cooldown: 8000,
+            chargeTime: 1500,
+            loudness: Infinity
+        },
+        // Short, quiet ping only nearby players notice
+        whisper: {
+            id: 'whisper',
+            name: 'Whisper',
+            radius: 160,
+            arc: FULL_CIRCLE,
+            duration: 1000,
+            cooldown: 700,
+            chargeTime: 0,
+            loudness: 250
+        }
+    };
+}
+
+module.exports = { createSonarTypes };
@@ -0,0 +1,78 @@
+/**
+ * Echo.io Spatial Hash
+ * A uniform grid over the world. Entities are filed under the cell their position falls in and
+ * re-filed whenever they move, so "who is near this point" only looks at a few cells instead of
+ * every player and bot in the arena.
+ */
+
+const CELL_KEY_STRIDE = 65536; // Cell columns are packed into one number with their row
+
+class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // cell key -> Set of entities
+        this.entityCells = new Map(); // entity -> key of the cell it is filed under
+    }
+    
+    cellKey(x, y) {
+        return Math.floor(x / this.cellSize) * CELL_KEY_STRIDE + Math.floor(y / this.cellSize);
+    }
+    
+    // File an entity under its current position (call again whenever it moves)
+    update(entity) {
+        const key = this.cellKey(entity.x, entity.y);
+        const previousKey = this.entityCells.get(entity);
+        if (previousKey === key) return;
+        
+        if (previousKey !== undefined) this.removeFromCell(entity, previousKey);
+        
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = new Set();
+            this.cells.set(key, cell);
+        }
+        cell.add(entity);
+        this.entityCells.set(entity, key);
+    }
+    
+    remove(entity) {
+        const key = this.entityCells.get(entity);
+        if (key === undefined) return;
+        
+        this.removeFromCell(entity, key);
+        this.entityCells.delete(entity);
+    }
+    
+    removeFromCell(entity, key) {
+        const cell = this.cells.get(key);
+        cell.delete(entity);
+        if (cell.size === 0) this.cells.delete(key);
+    }
+    
+    // Entities within radius of a point
+    queryRadius(x, y, radius) {
+        const found = [];
+        const minColumn = Math.floor((x - radius) / this.cellSize);
+        const maxColumn = Math.floor((x + radius) / this.cellSize);
+        const minRow = Math.floor((y - radius) / this.cellSize);
+        const maxRow = Math.floor((y + radius) / this.cellSize);
+        const radiusSquared = radius * radius;
+        
+        for (let column = minColumn; column <= maxColumn; column++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const cell = this.cells.get(column * CELL_KEY_STRIDE + row);
+                if (!cell) continue;
+                
+                cell.forEach(entity => {
+                    const dx = entity.x - x;
+                    const dy = entity.y - y;
+                    if (dx * dx + dy * dy <= radiusSquared) found.push(entity);
+                });
+            }
+        }
+        
+        return found;
+    }
+}
+
+module.exports = { SpatialHash };
@@ -0,0 +1,146 @@
+/**
+ * Echo.io Input Validation
+ * Every event a client may send, the shape of its arguments and how often it may be sent.
+ * Events with arguments that don't fit are dropped before they reach the game. Events over their
+ * per-second limit are dropped too, and a client sending far more than that is flooding and is
+ * disconnected.
+ */
+
+const RATE_WINDOW = 1000; // ms; limits count events per window
+const FLOOD_FACTOR = 3; // Going this many times over an event's limit in one window is flooding
+const MAX_NAME_LENGTH = 15;
+const CHAT_CHANNELS = ['all', 'team']; // Everyone in the arena, or only our team
+
+// Control characters, line breaks and invisible or text-direction characters have no place in names or chat
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e]/g;
+
+const BOOLEAN = { type: 'boolean', optional: true };
+
+/**
+ * Event name -> { perSecond, args }
+ * Argument shapes: { type: 'string' | 'number' | 'integer' | 'boolean' | 'object', optional, ... }
+ *   string: maxLength, values (allowed strings)   number/integer: min, max   object: fields
+ */
+const EVENTS = {
+    joinArena: {
+        perSecond: 2,
+        args: [{ type: 'string', maxLength: 16, optional: true }, { type: 'string', maxLength: 16, optional: true }]
+    },
+    joinGame: { perSecond: 2, args: [] },
+    spectate: { perSecond: 2, args: [] },
+    // Sent whenever the pressed keys change, at most once a frame
+    playerInput: {
+        perSecond: 60,
+        args: [{
+            type: 'object',
+            fields: { seq: { type: 'integer', min: 0 }, up: BOOLEAN, down: BOOLEAN, left: BOOLEAN, right: BOOLEAN }
+        }]
+    },
+    snapshotAck: { perSecond: 70, args: [{ type: 'integer', min: 0 }] },
+    // Key repeat sends these while a sonar key is held; the cooldown does the real limiting
+    emitPing: {
+        perSecond: 40,
+        args: [{
+            type: 'object',
+            fields: { type: { type: 'string', maxLength: 16 }, angle: { type: 'number', optional: true } }
+        }]
+    },
+    shoot: {
+        perSecond: 20,
+        args: [{
+            type: 'object',
+            fields: { angle: { type: 'number' }, viewTime: { type: 'number', optional: true } }
+        }]
+    },
+    switchWeapon: { perSecond: 10, args: [{ type: 'string', maxLength: 16 }] },
+    reload: { perSecond: 5, args: [] },
+    setPlayerName: { perSecond: 2, args: [{ type: 'string', maxLength: MAX_NAME_LENGTH }] },
+    chatMessage: {
+        perSecond: 5,
+        args: [{
+            type: 'object',
+            fields: { message: { type: 'string', maxLength: 1000 }, channel: { type: 'string', values: CHAT_CHANNELS, optional: true } }
+        }]
+    }
+};
+
+const INVALID = Symbol('invalid');
+
+// A value checked against its shape: the value to pass on (objects keep only known fields), or INVALID
+function checkArgument(value, shape) {
+    if (value === undefined || value === null) {
+        return shape.optional ? undefined : INVALID;
+    }
+    
+    switch (shape.type) {
+        case 'string':
+            if (typeof value !== 'string' || value.length > shape.maxLength) return INVALID;
+            if (shape.values && !shape.values.includes(value)) return INVALID;
+            return value;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return INVALID;
+            if (shape.type === 'integer' && !Number.isSafeInteger(value)) return INVALID;
+            if ((shape.min !== undefined && value < shape.min) || (shape.max !== undefined && value > shape.max)) return INVALID;
+            return value;
+        case 'boolean':
+            return typeof value === 'boolean' ? value : INVALID;
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return INVALID;
+            const checked = {};
+            for (const [field, fieldShape] of Object.entries(shape.fields)) {
+                const fieldValue = checkArgument(value[field], fieldShape);
+                if (fieldValue === INVALID) return INVALID;
+                if (fieldValue !== undefined) checked[field] = fieldValue;
+            }
+            return checked;
+        }
+        default:
+            return INVALID;
+    }
+}
+
+/**
+ * The arguments of an event, checked against its schema.
+ * Returns the arguments to hand to the game, or null when the event is unknown or doesn't fit.
+ */
+function validateEvent(name, args) {
+    const event = EVENTS[name];
+    if (!event) return null;
+    
+    const checked = [];
+    for (let i = 0; i < event.args.length; i++) {
+        const value = checkArgument(args[i], event.args[i]);
+        if (value === INVALID) return null;
+        checked.push(value);
+    }
+    return checked;
+}
+
+// Names, chat and admin messages as plain one-line text, cut to maxLength if given
+function cleanText(text, maxLength = Infinity) {
+    return text.replace(CONTROL_CHARACTERS, ' ').replace(/\s+/g, ' ').trim().slice(0, maxLength).trim();
+}
+
+// Counts one client's events per window
+class EventLimiter {
+    constructor() {
+        this.windows = new Map(); // event name -> { startedAt, count }
+    }
+    
+    // 'ok' to handle the event, 'drop' when over the limit, 'flood' when far over it
+    record(name, now) {
+        let window = this.windows.get(name);
+        if (!window || now - window.startedAt >= RATE_WINDOW) {
+            window = { startedAt: now, count: 0 };
+            this.windows.set(name, window);
+        }
+        window.count++;
+        
+        const limit = EVENTS[name] ? EVENTS[name].perSecond : 0;
+        if (window.count <= limit) return 'ok';
+        return window.count > limit * FLOOD_FACTOR ? 'flood' : 'drop';
+    }
+}
+
+module.exports = { EVENTS, MAX_NAME_LENGTH, CHAT_CHANNELS, validateEvent, cleanText, EventLimiter };
@@ -0,0 +1,112 @@
+/**
+ * Echo.io Weapons
+ * Every weapon has its own damage, bullet speed, range, fire rate, spread, magazine and reload time.
+ * Guns fire bullets (the shotgun several at once); the proximity mine is dropped where its owner
+ * stands and goes off when an enemy comes close. Magazines are refilled from a reserve of spare
+ * ammo by reloading, and ammo crates top the reserves up again.
+ */
+
+/**
+ * Build the weapons for an arena.
+ * The pistol keeps using the classic combat settings from gameConfig; the others scale with them.
+ */
+function createWeapons(gameConfig) {
+    const pistolRange = gameConfig.bulletSpeed * gameConfig.bulletLifetime / 1000;
+    
+    return {
+        // Dependable sidearm that never runs out of spare ammo
+        pistol: {
+            id: 'pistol',
+            name: 'Pistol',
+            type: 'gun',
+            slot: 1, // Number key that selects it
+            damage: gameConfig.bulletDamage,
+            speed: gameConfig.bulletSpeed, // pixels per second
+            range: pistolRange, // pixels a bullet flies before it is gone
+            fireInterval: gameConfig.shootCooldown, // milliseconds between shots
+            spread: 0.04, // Random aim error in radians (the whole cone)
+            pellets: 1, // Bullets per shot
+            magazineSize: 12,
+            maxReserve: Infinity, // Spare ammo carried (arrives as null: unlimited)
+            reloadTime: 1200,
+            revealTime: 0 // milliseconds a shot shows the shooter to everyone
+        },
+        // Wide burst of pellets, deadly up close
+        shotgun: {
+            id: 'shotgun',
+            name: 'Shotgun',
+            type: 'gun',
+            slot: 2,
+            damage: gameConfig.bulletDamage * 0.6,
+            speed: gameConfig.bulletSpeed * 1.2,
+            range: pistolRange * 0.8,
+            fireInterval: 900,
+            spread: 0.6,
+            pellets: 6,
+            magazineSize: 4,
+            maxReserve: 16,
+            reloadTime: 2500,
+            revealTime: 0
+        },
+        // Slow, long-range and hard-hitting, but every shot gives the shooter away
+        sniper: {
+            id: 'sniper',
+            name: 'Sniper Rifle',
+            type: 'gun',
+            slot: 3,
+            damage: gameConfig.bulletDamage * 6,
+            speed: gameConfig.bulletSpeed * 4,
+            range: pistolRange * 5,
+            fireInterval: 1500,
+            spread: 0,
+            pellets: 1,
+            magazineSize: 3,
+            maxReserve: 9,
+            reloadTime: 3000,
+            revealTime: 2000
+        },
+        // Dropped at the owner's feet; blows up when an enemy walks past once it has armed
+        mine: {
+            id: 'mine',
+            name: 'Proximity Mine',
+            type: 'mine',
+            slot: 4,
+            damage: gameConfig.bulletDamage * 5,
+            speed: 0,
+            range: 0,
+            fireInterval: 1000,
+            spread: 0,
+            pellets: 0,
+            magazineSize: 1,
+            maxReserve: 3,
+            reloadTime: 4000,
+            revealTime: 0,
+            armTime: 1000, // milliseconds after placing before it can go off
+            triggerRadius: 40, // Enemies this close set it off
+            blastRadius: 90, // Everyone this close (and not behind a wall) is hurt
+            lifetime: 60000, // milliseconds before an untouched mine fizzles out
+            maxActive: 3 // Mines one player can have out; placing another removes the oldest
+        }
+    };
+}
+
+// Full magazines and reserves of every weapon, for a fresh spawn
+function createAmmo(weapons) {
+    return Object.fromEntries(Object.values(weapons).map(weapon => [
+        weapon.id,
+        { magazine: weapon.magazineSize, reserve: weapon.maxReserve }
+    ]));
+}
+
+// Whether any weapon's reserve has room for more ammo
+function canTakeAmmo(entity, weapons) {
+    return Object.values(weapons).some(weapon => entity.ammo[weapon.id].reserve < weapon.maxReserve);
+}
+
+function refillReserves(entity, weapons) {
+    Object.values(weapons).forEach(weapon => {
+        entity.ammo[weapon.id].reserve = weapon.maxReserve;
+    });
+}
+
+module.exports = { createWeapons, createAmmo, canTakeAmmo, refillReserves };
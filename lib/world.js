@@ -0,0 +1,1772 @@
+/**
+ * Echo.io Game World
+ * The simulation of one match: players, bots, weapons, sonar, pickups, visibility, scoring and rounds.
+ * It knows nothing about sockets: time comes from an injected clock, randomness from a seeded
+ * generator, and everything players need to hear about goes out through an output object
+ * (see NULL_OUTPUT). The same seed, clock and inputs always play out the same way.
+ */
+
+const { loadMap } = require('./map');
+const { createSonarTypes } = require('./sonar');
+const { createWeapons, createAmmo } = require('./weapons');
+const { ReplayRecorder } = require('./replay');
+const { BOT_DIFFICULTIES, MAX_CONTACTS, getBotDifficulty, updateBotBrain, createBrain, trimContacts, pickSightings } = require('./bots');
+const { recordPosition, getPositionAt } = require('./history');
+const { SpatialHash } = require('./spatial');
+const { createRandom, randomSeed } = require('./random');
+const { cleanChatMessage, takeChatSlot } = require('./chat');
+const { cleanText, MAX_NAME_LENGTH } = require('./validation');
+const {
+    PICKUP_RADIUS, pickPickupType, canCollect, applyPickup, getSonarRadius, getSonarCooldown, getSonarLoudness
+} = require('./pickups');
+const { collidesWithWalls, isLineBlocked, isWithinArc, moveWithCollisions } = require('../shared/geometry');
+
+const BOT_NAMES = ['Shadow', 'Ghost', 'Phantom', 'Specter', 'Wraith', 'Echo', 'Pulse', 'Whisper', 'Stealth', 'Hunter'];
+const MAX_CATCH_UP_STEPS = 5; // Steps run back to back after a stall before the rest is skipped
+const BOT_TURN_RATE = 1.05; // Bots turn about 10% of the way to their target direction every 100ms
+const GUNFIRE_UNCERTAINTY = 0.2; // Bots place heard gunfire within this fraction of its distance
+const HIT_UNCERTAINTY = 0.1; // ...and the source of a hit a little more precisely
+const GRID_CELL_SIZE = 150; // Spatial hash cell size in pixels
+const HIT_RADIUS = 15; // How close a bullet has to pass to hit
+const PICKUP_MARGIN = 50; // Randomly placed pickups stay this far from the world's edge
+const UNKNOWN_BULLET_COLOR = 'hsl(0, 0%, 75%)'; // Bullets from shooters the viewer can't see
+
+// Teams for team deathmatch; colors stay in hsl() so the client can fade them
+const TEAMS = [
+    { id: 'red', name: 'Red', color: 'hsl(0, 80%, 55%)' },
+    { id: 'blue', name: 'Blue', color: 'hsl(210, 80%, 55%)' },
+    { id: 'green', name: 'Green', color: 'hsl(120, 70%, 45%)' },
+    { id: 'yellow', name: 'Yellow', color: 'hsl(50, 90%, 50%)' }
+];
+
+// Where world events go when nobody is listening (headless runs and tests)
+const NULL_OUTPUT = {
+    broadcast(event, data) {}, // Everyone watching the world
+    sendTo(playerId, event, data) {}, // One player
+    broadcastExcept(playerId, event, data) {}, // Everyone but one player
+    sendToSpectators(event, data) {} // Only those watching without playing (they see everything)
+};
+
+// Strip an entity down to what every client may know about it (no position)
+function getPublicInfo(entity) {
+    return {
+        id: entity.id,
+        netId: entity.netId, // Short id used in snapshots
+        name: entity.name,
+        color: entity.color,
+        team: entity.team,
+        isBot: entity.isBot,
+        alive: entity.alive,
+        health: entity.health,
+        maxHealth: entity.maxHealth,
+        score: entity.score,
+        kills: entity.kills,
+        deaths: entity.deaths
+    };
+}
+
+/**
+ * What clients need to draw a bullet from where it is now. Viewers who can't see the shooter
+ * get it without the shooter's colour, so a bullet never tells them who fired it.
+ */
+function getBulletInfo(bullet, now, showShooter = true) {
+    return {
+        id: bullet.id,
+        x: Math.round(bullet.x),
+        y: Math.round(bullet.y),
+        vx: Math.round(bullet.vx),
+        vy: Math.round(bullet.vy),
+        color: showShooter ? bullet.color : UNKNOWN_BULLET_COLOR,
+        weapon: bullet.weapon,
+        time: Math.round(now) // When it was at x, y
+    };
+}
+
+/**
+ * How far a bullet moving from (x1, y1) to (x2, y2) gets before it comes within HIT_RADIUS of (x, y),
+ * or null when it passes further away. Checking the whole step keeps fast bullets from skipping over players.
+ */
+function getHitDistance(x1, y1, x2, y2, x, y) {
+    const length = Math.hypot(x2 - x1, y2 - y1);
+    const offsetX = x - x1;
+    const offsetY = y - y1;
+    if (length === 0) {
+        return Math.hypot(offsetX, offsetY) < HIT_RADIUS ? 0 : null;
+    }
+    
+    // Closest approach along the path, and how far to either side of it the hit circle reaches
+    const along = (offsetX * (x2 - x1) + offsetY * (y2 - y1)) / length;
+    const missSquared = offsetX * offsetX + offsetY * offsetY - along * along;
+    if (missSquared >= HIT_RADIUS * HIT_RADIUS) return null;
+    
+    const halfChord = Math.sqrt(HIT_RADIUS * HIT_RADIUS - missSquared);
+    if (along - halfChord > length || along + halfChord < 0) return null;
+    return Math.max(0, along - halfChord);
+}
+
+// What a mine's owner and teammates need to draw it
+function getMineInfo(mine) {
+    return {
+        id: mine.id,
+        ownerId: mine.ownerId,
+        x: Math.round(mine.x),
+        y: Math.round(mine.y),
+        color: mine.color,
+        armedAt: Math.round(mine.armedAt)
+    };
+}
+
+/**
+ * Options (all optional):
+ *   code     - name used in logs and replays
+ *   profiles - lifetime stats store
+ *   clock    - function returning the current time in milliseconds (Date.now)
+ *   seed     - seed for the random generator (a random one otherwise, kept in world.seed)
+ *   output   - where events for players go (NULL_OUTPUT)
+ */
+class GameWorld {
+    constructor(gameConfig, options = {}) {
+        this.code = options.code || 'WORLD';
+        this.profiles = options.profiles || null; // Lifetime stats store (optional)
+        this.clock = options.clock || Date.now;
+        this.seed = Number.isInteger(options.seed) ? options.seed : randomSeed();
+        this.random = createRandom(this.seed);
+        this.output = options.output || NULL_OUTPUT;
+        this.gameConfig = { ...gameConfig };
+        
+        // The map decides the size of the world
+        this.map = loadMap(this.gameConfig.mapName);
+        this.gameConfig.worldWidth = this.map.width;
+        this.gameConfig.worldHeight = this.map.height;
+        this.sonarTypes = createSonarTypes(this.gameConfig);
+        this.weapons = createWeapons(this.gameConfig);
+        this.botDifficulty = getBotDifficulty(this.gameConfig.botDifficulty) || BOT_DIFFICULTIES.normal;
+        
+        // Game state
+        this.players = new Map();
+        this.bots = new Map();
+        this.bullets = new Map();
+        this.mines = new Map(); // Proximity mines waiting for an enemy
+        this.grid = new SpatialHash(GRID_CELL_SIZE); // Players and bots by position, for proximity queries
+        this.teamMembers = new Map(); // team id -> Set of players and bots (team mode only)
+        this.pings = []; // Active pings, used for server-side visibility
+        this.revealed = new Set(); // Players and bots a sniper shot is giving away (until their revealedUntil)
+        this.pickups = this.createPickups(); // Every pickup spot, whether or not its item is there right now
+        this.bulletIdCounter = 0;
+        this.mineIdCounter = 0;
+        this.botIdCounter = 0;
+        this.netIdCounter = 1; // Snapshot ids for players and bots
+        this.simulationTime = this.clock(); // Time the world has been simulated up to
+        this.stepInterval = 1000 / this.gameConfig.simulationRate; // Fixed simulation step (ms)
+        this.replay = null; // Recorder for the match in progress (when replays are on)
+        this.extraBots = 0; // Bots added by hand on top of the configured limits (negative when taken away)
+        this.scoresResetAt = 0; // Survival time only scores from here after a leaderboard reset
+        
+        // Round lifecycle: warmup -> active -> intermission -> warmup ...
+        this.round = {
+            number: 1,
+            phase: 'warmup',
+            startedAt: 0,
+            endsAt: 0
+        };
+    }
+    
+    // Tell everyone watching this world
+    emit(event, data) {
+        this.output.broadcast(event, data);
+    }
+    
+    // Tell only the players isWitness picks out (and spectators, who see everything)
+    sendToWitnesses(isWitness, event, data) {
+        this.players.forEach(player => {
+            if (isWitness(player)) this.output.sendTo(player.id, event, data);
+        });
+        this.output.sendToSpectators(event, data);
+    }
+    
+    isTeamMode() {
+        return this.gameConfig.gameMode === 'teams';
+    }
+    
+    getTeams() {
+        const teamCount = Math.max(2, Math.min(TEAMS.length, this.gameConfig.teamCount));
+        return TEAMS.slice(0, teamCount);
+    }
+    
+    // Teammates never fight each other (and are always visible to each other)
+    areTeammates(a, b) {
+        return this.isTeamMode() && a.team !== null && a.team === b.team;
+    }
+    
+    // Put an entity somewhere new (everything that moves goes through here, so the grid stays current)
+    setPosition(entity, x, y) {
+        entity.x = x;
+        entity.y = y;
+        this.grid.update(entity);
+    }
+    
+    // Start tracking a new player or bot in the spatial grid and its team
+    trackEntity(entity) {
+        this.grid.update(entity);
+        if (entity.team !== null) {
+            if (!this.teamMembers.has(entity.team)) this.teamMembers.set(entity.team, new Set());
+            this.teamMembers.get(entity.team).add(entity);
+        }
+    }
+    
+    untrackEntity(entity) {
+        this.grid.remove(entity);
+        this.revealed.delete(entity);
+        this.pings.forEach(ping => {
+            if (ping.reveals) ping.reveals.delete(entity);
+        });
+        if (entity.team !== null && this.teamMembers.has(entity.team)) {
+            this.teamMembers.get(entity.team).delete(entity);
+        }
+    }
+    
+    // Count players and bots on each team
+    getTeamSizes() {
+        const sizes = new Map(this.getTeams().map(team => [team.id, 0]));
+        [...this.players.values(), ...this.bots.values()].forEach(entity => {
+            if (sizes.has(entity.team)) {
+                sizes.set(entity.team, sizes.get(entity.team) + 1);
+            }
+        });
+        return sizes;
+    }
+    
+    // Balance new arrivals onto the smallest team (null outside team mode)
+    pickTeam() {
+        if (!this.isTeamMode()) return null;
+        
+        let smallest = null;
+        this.getTeamSizes().forEach((size, teamId) => {
+            if (!smallest || size < smallest.size) {
+                smallest = { teamId, size };
+            }
+        });
+        return TEAMS.find(team => team.id === smallest.teamId);
+    }
+    
+    // Pick a free spot: near a map spawn point if it has any, otherwise anywhere clear of walls
+    getSpawnPosition() {
+        const gameConfig = this.gameConfig;
+        const spawnPoints = this.map.spawnPoints;
+        let position = { x: gameConfig.worldWidth / 2, y: gameConfig.worldHeight / 2 };
+        
+        for (let attempt = 0; attempt < 50; attempt++) {
+            if (spawnPoints.length > 0) {
+                const spawn = spawnPoints[Math.floor(this.random() * spawnPoints.length)];
+                position = {
+                    x: Math.max(0, Math.min(gameConfig.worldWidth, spawn.x + (this.random() - 0.5) * 100)),
+                    y: Math.max(0, Math.min(gameConfig.worldHeight, spawn.y + (this.random() - 0.5) * 100))
+                };
+            } else {
+                position = {
+                    x: this.random() * gameConfig.worldWidth,
+                    y: this.random() * gameConfig.worldHeight
+                };
+            }
+            
+            if (!collidesWithWalls(this.map.walls, position.x, position.y, gameConfig.playerRadius)) break;
+        }
+        
+        return position;
+    }
+    
+    // Add to a human player's lifetime stats (bots and guests without a token are skipped)
+    recordProfileStats(player, changes) {
+        if (this.profiles && player.profileId) {
+            this.profiles.addStats(player.profileId, changes);
+        }
+    }
+    
+    // A life has ended (death, leaving, or a new round): keep it if it's the longest yet
+    recordSurvival(player, now) {
+        if (this.profiles && player.profileId && player.alive) {
+            this.profiles.recordSurvival(player.profileId, now - player.spawnedAt);
+        }
+    }
+    
+    isFull() {
+        return this.players.size >= this.gameConfig.maxPlayers;
+    }
+    
+    // Begin the warmup and fill up with bots (the caller runs tick() from then on)
+    start() {
+        const now = this.clock();
+        this.simulationTime = now;
+        this.round.endsAt = now + this.gameConfig.warmupTime;
+        this.manageBotPopulation();
+    }
+    
+    stop() {
+        // Keep whatever was recorded of an unfinished match
+        if (this.replay) {
+            this.replay.save(this.clock());
+            this.replay = null;
+        }
+    }
+    
+    // Switch this world's bots to another difficulty profile; returns false for unknown names
+    setBotDifficulty(id) {
+        const difficulty = getBotDifficulty(id);
+        if (!difficulty) return false;
+        
+        this.botDifficulty = difficulty;
+        this.emit('botDifficulty', difficulty.id);
+        return true;
+    }
+    
+    // Settings changed while the server runs (only ones safe mid-match); the room keeps its own bot difficulty
+    applyConfig(changes) {
+        const settings = { ...changes };
+        delete settings.botDifficulty;
+        Object.assign(this.gameConfig, settings);
+        this.sonarTypes = createSonarTypes(this.gameConfig);
+        this.weapons = createWeapons(this.gameConfig);
+        this.manageBotPopulation();
+        this.emit('configUpdated', { gameConfig: this.gameConfig, sonarTypes: this.sonarTypes, weapons: this.weapons });
+    }
+    
+    // Bot management functions
+    createBot() {
+        const gameConfig = this.gameConfig;
+        const botId = `bot_${this.botIdCounter++}`;
+        const botName = `[BOT] ${BOT_NAMES[Math.floor(this.random() * BOT_NAMES.length)]}`;
+        const team = this.pickTeam();
+        
+        const bot = {
+            id: botId,
+            netId: this.netIdCounter++,
+            name: botName,
+            ...this.getSpawnPosition(),
+            color: team ? team.color : `hsl(${this.random() * 360}, 70%, 50%)`,
+            team: team ? team.id : null,
+            lastPings: {}, // Last use of each sonar type
+            alive: true,
+            joinTime: this.clock(),
+            score: 0,
+            kills: 0,
+            deaths: 0,
+            health: gameConfig.maxHealth,
+            maxHealth: gameConfig.maxHealth,
+            lastShoot: 0, // Last gunshot (gunfire gives away where it came from)
+            nextShotAt: 0, // No weapon can be used again before this (the fire interval of the last one used)
+            weapon: 'pistol', // Weapon in hand
+            ammo: createAmmo(this.weapons), // weapon id -> { magazine, reserve }
+            reload: null, // Reload in progress: { weapon, readyAt }
+            revealedUntil: 0, // A sniper shot shows the shooter to everyone until then
+            history: [], // Recent positions for lag-compensated hits
+            isBot: true,
+            direction: this.random() * Math.PI * 2, // Random direction in radians
+            targetDirection: this.random() * Math.PI * 2,
+            speed: this.botDifficulty.speed,
+            contacts: new Map(), // Remembered enemies: id -> { id, x, y, seenAt, visible }
+            brain: createBrain(this.clock()), // Behavior state, see lib/bots.js
+            lastHitAt: 0,
+            effects: {} // Pickup effects: type id -> when it wears off
+        };
+        
+        this.bots.set(botId, bot);
+        this.trackEntity(bot);
+        
+        // Notify all players about the new bot
+        this.emit('playerJoined', getPublicInfo(bot));
+        
+        return bot;
+    }
+    
+    removeBot(botId) {
+        const bot = this.bots.get(botId);
+        if (bot) {
+            this.bots.delete(botId);
+            this.untrackEntity(bot);
+            this.removeMinesOf(botId);
+            this.emit('playerLeft', {
+                id: botId,
+                finalScore: bot.score
+            });
+        }
+    }
+    
+    // Bots only know about enemies they have detected the same ways players do
+    updateBots(now, deltaTime) {
+        const gameConfig = this.gameConfig;
+        
+        this.bots.forEach(bot => {
+            if (!bot.alive) return;
+            
+            this.updateBotContacts(bot, now);
+            updateBotBrain(this, bot, this.botDifficulty, now, deltaTime);
+            
+            // Smooth direction change (the short way round)
+            const directionDiff = Math.atan2(Math.sin(bot.targetDirection - bot.direction), Math.cos(bot.targetDirection - bot.direction));
+            bot.direction += directionDiff * (1 - Math.exp(-BOT_TURN_RATE * deltaTime));
+            
+            // Move bot (speed varies with what it is doing)
+            const distance = bot.speed * deltaTime;
+            let newX = bot.x + Math.cos(bot.direction) * distance;
+            let newY = bot.y + Math.sin(bot.direction) * distance;
+            
+            // Bounce off walls
+            if (newX < 50 || newX > gameConfig.worldWidth - 50) {
+                bot.direction = Math.PI - bot.direction;
+                bot.targetDirection = bot.direction;
+                newX = Math.max(50, Math.min(gameConfig.worldWidth - 50, newX));
+            }
+            if (newY < 50 || newY > gameConfig.worldHeight - 50) {
+                bot.direction = -bot.direction;
+                bot.targetDirection = bot.direction;
+                newY = Math.max(50, Math.min(gameConfig.worldHeight - 50, newY));
+            }
+            
+            // Turn away from map walls instead of walking into them
+            if (collidesWithWalls(this.map.walls, newX, newY, gameConfig.playerRadius)) {
+                bot.direction += Math.PI + (this.random() - 0.5) * Math.PI / 2;
+                bot.targetDirection = bot.direction;
+                newX = bot.x;
+                newY = bot.y;
+            }
+            
+            this.setPosition(bot, newX, newY);
+        });
+    }
+    
+    // Refresh a bot's memory with what it can see right now and forget stale contacts
+    updateBotContacts(bot, now) {
+        const enemies = [];
+        this.computeVisibility(bot, now).forEach((visibility, id) => {
+            const target = this.players.get(id) || this.bots.get(id);
+            if (!this.areTeammates(bot, target)) enemies.push(target);
+        });
+        
+        // Out of sight until seen again this step
+        bot.contacts.forEach(contact => {
+            contact.visible = false;
+        });
+        pickSightings(bot, enemies).forEach(target => this.rememberContact(bot, target, now, 0, true));
+        
+        bot.contacts.forEach((contact, id) => {
+            const target = this.players.get(id) || this.bots.get(id);
+            if (!target || !target.alive || now - contact.seenAt > this.botDifficulty.memoryTime) {
+                bot.contacts.delete(id);
+            }
+        });
+    }
+    
+    /**
+     * Note where an enemy was, give or take some uncertainty in pixels (visible when it is in sight right now).
+     * Known contacts are updated where they are; a new one may push the least interesting out.
+     */
+    rememberContact(bot, target, now, uncertainty, visible = false) {
+        let contact = bot.contacts.get(target.id);
+        
+        // A rough idea of where an enemy is adds nothing while it is in plain sight
+        if (contact && contact.visible && !visible) return;
+        
+        if (!contact) {
+            contact = { id: target.id };
+            bot.contacts.set(target.id, contact);
+        }
+        const angle = this.random() * Math.PI * 2;
+        const offset = this.random() * uncertainty;
+        contact.x = target.x + Math.cos(angle) * offset;
+        contact.y = target.y + Math.sin(angle) * offset;
+        contact.seenAt = now;
+        contact.visible = visible; // Only true while the enemy is actually revealed
+        
+        if (bot.contacts.size > MAX_CONTACTS) trimContacts(bot);
+    }
+    
+    // Fire a sonar for a bot if it is off cooldown; returns whether it fired
+    botPing(bot, now, typeId, direction) {
+        const sonarType = this.sonarTypes[typeId];
+        if (!sonarType || now - (bot.lastPings[typeId] || 0) < getSonarCooldown(bot, sonarType, now)) return false;
+        
+        bot.lastPings[typeId] = now;
+        this.emitPingFrom(bot, now, typeId, direction);
+        return true;
+    }
+    
+    // Bots within earshot of a shot get a rough idea of where the shooter is
+    alertBotsToGunfire(shooter, now) {
+        this.grid.queryRadius(shooter.x, shooter.y, this.botDifficulty.hearingRange).forEach(bot => {
+            if (!bot.isBot || bot.id === shooter.id || !bot.alive || this.areTeammates(bot, shooter)) return;
+            
+            const distance = Math.hypot(shooter.x - bot.x, shooter.y - bot.y);
+            this.rememberContact(bot, shooter, now, distance * GUNFIRE_UNCERTAINTY);
+        });
+    }
+    
+    manageBotPopulation() {
+        const minBots = Math.max(0, this.gameConfig.minBots + this.extraBots);
+        const maxBots = Math.max(0, this.gameConfig.maxBots + this.extraBots);
+        const totalPlayers = this.players.size + this.bots.size;
+        
+        // Add bots if needed
+        if (totalPlayers < minBots) {
+            const botsToAdd = minBots - totalPlayers;
+            for (let i = 0; i < botsToAdd; i++) {
+                this.createBot();
+            }
+        }
+        
+        // Remove excess bots if there are too many
+        if (this.bots.size > 0 && totalPlayers > maxBots) {
+            const botsToRemove = Math.min(this.bots.size, totalPlayers - maxBots);
+            for (let i = 0; i < botsToRemove; i++) {
+                this.removeBot(this.pickBotToRemove());
+            }
+        }
+    }
+    
+    // In team mode, take bots from the biggest team to keep things balanced
+    pickBotToRemove() {
+        const bots = Array.from(this.bots.values());
+        if (!this.isTeamMode()) return bots[0].id;
+        
+        const sizes = this.getTeamSizes();
+        bots.sort((a, b) => (sizes.get(b.team) || 0) - (sizes.get(a.team) || 0));
+        return bots[0].id;
+    }
+    
+    // Respawn player function
+    respawnPlayer(playerId) {
+        const gameConfig = this.gameConfig;
+        const player = this.players.get(playerId);
+        if (player) {
+            const now = this.clock();
+            this.recordSurvival(player, now);
+            
+            const spawn = this.getSpawnPosition();
+            this.setPosition(player, spawn.x, spawn.y);
+            player.health = gameConfig.maxHealth;
+            player.alive = true;
+            player.spawnedAt = now;
+            player.respawnAt = null;
+            player.lastShoot = 0;
+            player.lastPings = {};
+            player.charging = null;
+            player.effects = {};
+            this.resetWeapons(player);
+            
+            // Only the respawned player learns where they are
+            this.output.sendTo(playerId, 'playerRespawned', {
+                id: playerId,
+                x: player.x,
+                y: player.y,
+                health: player.health
+            });
+            this.output.broadcastExcept(playerId, 'playerRespawned', {
+                id: playerId,
+                health: player.health
+            });
+            this.sendWeaponState(player, now);
+        }
+    }
+    
+    respawnBot(bot) {
+        const spawn = this.getSpawnPosition();
+        this.setPosition(bot, spawn.x, spawn.y);
+        bot.health = this.gameConfig.maxHealth;
+        bot.alive = true;
+        bot.contacts.clear();
+        bot.brain = createBrain(this.clock());
+        bot.lastHitAt = 0;
+        bot.effects = {};
+        this.resetWeapons(bot);
+    }
+    
+    // Fresh spawns start with full ammo and nothing to give them away
+    resetWeapons(entity) {
+        entity.ammo = createAmmo(this.weapons);
+        entity.reload = null;
+        entity.nextShotAt = 0;
+        entity.revealedUntil = 0;
+        this.revealed.delete(entity);
+    }
+    
+    // Remember where everyone is this tick, for rewinding laggy shots
+    recordHistory(now) {
+        const keepFor = this.gameConfig.maxRewindTime + this.stepInterval * 2;
+        this.players.forEach(player => recordPosition(player, now, keepFor));
+        this.bots.forEach(bot => recordPosition(bot, now, keepFor));
+    }
+    
+    // Move players according to their latest input state
+    updatePlayers(now) {
+        this.players.forEach(player => this.movePlayer(player, now));
+    }
+    
+    // Bring back players whose respawn delay is over
+    updateRespawns(now) {
+        this.players.forEach(player => {
+            if (!player.alive && player.respawnAt !== null && now >= player.respawnAt) {
+                this.respawnPlayer(player.id);
+            }
+        });
+    }
+    
+    // Apply a player's current input for the time since they last moved
+    movePlayer(player, now) {
+        const gameConfig = this.gameConfig;
+        const elapsed = now - player.movedAt;
+        if (elapsed <= 0) return;
+        player.movedAt = now;
+        if (!player.alive) return;
+        
+        const input = player.input;
+        const dx = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+        const dy = (input.down ? 1 : 0) - (input.up ? 1 : 0);
+        if (dx === 0 && dy === 0) return;
+        
+        // Normalize diagonal movement
+        const length = Math.sqrt(dx * dx + dy * dy);
+        const distance = gameConfig.playerSpeed * elapsed / 1000;
+        
+        // Slide along walls and stay inside the world
+        const moved = moveWithCollisions(
+            this.map.walls, player.x, player.y,
+            (dx / length) * distance, (dy / length) * distance,
+            gameConfig.playerRadius, gameConfig.worldWidth, gameConfig.worldHeight
+        );
+        this.setPosition(player, moved.x, moved.y);
+    }
+    
+    // Update bullets and check collisions
+    updateBullets(now, deltaTime) {
+        const gameConfig = this.gameConfig;
+        
+        this.bullets.forEach((bullet, bulletId) => {
+            // Update bullet position
+            const previousX = bullet.x;
+            const previousY = bullet.y;
+            bullet.x += bullet.vx * deltaTime;
+            bullet.y += bullet.vy * deltaTime;
+            
+            // Check collision with everyone the bullet passed this step (rewound targets may have moved on since);
+            // a bullet only ever hits one of them, the first it reaches
+            const stepLength = Math.hypot(bullet.x - previousX, bullet.y - previousY);
+            const searchRadius = HIT_RADIUS + stepLength + gameConfig.playerSpeed * bullet.rewindTime / 1000;
+            let hit = null;
+            this.grid.queryRadius(previousX, previousY, searchRadius).forEach(target => {
+                if (target.id === bullet.ownerId || !target.alive) return;
+                
+                // Bullets pass through teammates unless friendly fire is on
+                const friendly = this.isTeamMode() && bullet.team !== null && bullet.team === target.team;
+                if (friendly && !gameConfig.friendlyFire) return;
+                
+                // Check against where the target was when the shooter saw it
+                const position = getPositionAt(target, now - bullet.rewindTime);
+                if (!position) return;
+                
+                const distance = getHitDistance(previousX, previousY, bullet.x, bullet.y, position.x, position.y);
+                if (distance === null || (hit && distance >= hit.distance)) return;
+                
+                // ...and only if no wall comes first
+                const hitX = previousX + (bullet.x - previousX) * distance / (stepLength || 1);
+                const hitY = previousY + (bullet.y - previousY) * distance / (stepLength || 1);
+                if (!isLineBlocked(this.map.walls, previousX, previousY, hitX, hitY)) {
+                    hit = { target, friendly, distance };
+                }
+            });
+            
+            if (hit) {
+                this.damageEntity(hit.target, bullet.damage, { id: bullet.ownerId, name: bullet.ownerName }, hit.friendly, now);
+                
+                // Remove bullet
+                this.bullets.delete(bulletId);
+                this.emit('bulletRemoved', bulletId);
+                return;
+            }
+            
+            // Remove old bullets and bullets that hit a wall
+            if (now - bullet.createdAt > bullet.lifetime ||
+                bullet.x < 0 || bullet.x > gameConfig.worldWidth ||
+                bullet.y < 0 || bullet.y > gameConfig.worldHeight ||
+                isLineBlocked(this.map.walls, previousX, previousY, bullet.x, bullet.y)) {
+                this.bullets.delete(bulletId);
+                this.emit('bulletRemoved', bulletId);
+                return;
+            }
+            
+            this.shareBullet(bullet, now);
+        });
+    }
+    
+    /**
+     * Tell players about a bullet once they can see it: when they can see the shooter (teammates always can)
+     * or when it flies past them. It starts from where it is then, so it never gives away where it came from.
+     */
+    shareBullet(bullet, now) {
+        this.players.forEach(viewer => {
+            if (bullet.seenBy.has(viewer.id)) return;
+            
+            const teammate = this.isTeamMode() && bullet.team !== null && bullet.team === viewer.team;
+            const seesShooter = viewer.id === bullet.ownerId || teammate || viewer.visible.get(bullet.ownerId) > 0;
+            const passing = Math.hypot(bullet.x - viewer.x, bullet.y - viewer.y) < this.gameConfig.combatRevealRange;
+            if (!seesShooter && !passing) return;
+            
+            bullet.seenBy.add(viewer.id);
+            this.output.sendTo(viewer.id, 'bulletFired', getBulletInfo(bullet, now, seesShooter));
+        });
+    }
+    
+    /**
+     * Hurt a player or bot with a bullet or a mine. attacker is { id, name } of whoever fired it
+     * (they may have left since); friendly means a teammate did it. Kills are credited and the dead respawned.
+     */
+    damageEntity(target, damage, attacker, friendly, now) {
+        const shooter = this.players.get(attacker.id) || this.bots.get(attacker.id);
+        
+        // Apply damage
+        target.health -= damage;
+        if (this.replay) this.replay.recordHit(target, shooter, damage, now);
+        
+        // Getting shot tells a bot roughly where the shooter is
+        if (target.isBot && shooter && !friendly) {
+            target.lastHitAt = now;
+            const shooterDistance = Math.hypot(shooter.x - target.x, shooter.y - target.y);
+            this.rememberContact(target, shooter, now, shooterDistance * HIT_UNCERTAINTY);
+        }
+        
+        // Only the shooter, the target and whoever can see the target learn about the hit
+        const seesHit = viewer => viewer.id === target.id || viewer.id === attacker.id || viewer.visible.get(target.id) > 0;
+        this.sendToWitnesses(seesHit, 'playerHit', {
+            playerId: target.id,
+            damage: damage,
+            health: target.health,
+            shooterId: attacker.id
+        });
+        
+        // Check if target died
+        if (target.health <= 0) {
+            this.recordSurvival(target, now);
+            this.recordProfileStats(target, { deaths: 1 });
+            target.alive = false;
+            target.deaths++;
+            target.health = 0;
+            target.charging = null;
+            target.reload = null;
+            
+            // Give kill credit (never for killing a teammate)
+            if (shooter && !friendly) {
+                shooter.kills++;
+                shooter.score += 100;
+                this.recordProfileStats(shooter, { kills: 1 });
+            }
+            
+            if (this.replay) this.replay.recordDeath(target, shooter, now);
+            this.emit('playerDied', {
+                id: target.id,
+                eliminatedBy: attacker.id,
+                eliminatorName: attacker.name,
+                finalScore: target.score,
+                kills: target.kills,
+                deaths: target.deaths
+            });
+            
+            // Respawn if not a bot
+            if (!target.isBot) {
+                target.respawnAt = now + this.gameConfig.respawnTime;
+            } else {
+                // Respawn bot immediately with new position
+                this.respawnBot(target);
+            }
+        }
+    }
+    
+    // Get leaderboard data
+    getLeaderboard() {
+        const allPlayers = [...this.players.values(), ...this.bots.values()];
+        return allPlayers
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 10)
+            .map(player => ({
+                id: player.id,
+                name: player.name,
+                score: player.score,
+                kills: player.kills,
+                deaths: player.deaths,
+                kd: player.deaths === 0 ? player.kills : (player.kills / player.deaths).toFixed(2),
+                team: player.team,
+                isBot: player.isBot,
+                alive: player.alive
+            }));
+    }
+    
+    // Team totals for the leaderboard, best team first (empty outside team mode)
+    getTeamScores() {
+        if (!this.isTeamMode()) return [];
+        
+        const totals = this.getTeams().map(team => ({
+            id: team.id,
+            name: team.name,
+            color: team.color,
+            score: 0,
+            kills: 0,
+            members: 0
+        }));
+        
+        [...this.players.values(), ...this.bots.values()].forEach(entity => {
+            const total = totals.find(team => team.id === entity.team);
+            if (total) {
+                total.score += entity.score;
+                total.kills += entity.kills;
+                total.members++;
+            }
+        });
+        
+        return totals.sort((a, b) => b.score - a.score);
+    }
+    
+    // Record a ping for visibility checks and announce it (pickup effects change its range and loudness)
+    emitPingFrom(entity, now, typeId, direction) {
+        const sonarType = this.sonarTypes[typeId];
+        const loudness = getSonarLoudness(entity, sonarType, now);
+        const pingData = {
+            playerId: entity.id,
+            type: sonarType.id,
+            x: entity.x,
+            y: entity.y,
+            timestamp: now,
+            color: entity.color,
+            maxRadius: getSonarRadius(entity, sonarType, now),
+            duration: sonarType.duration,
+            arc: sonarType.arc,
+            direction: direction || 0
+        };
+        
+        const ping = { ...pingData, team: entity.team, loudness: loudness };
+        this.pings.push(ping);
+        if (this.replay) this.replay.recordPing(this, entity, ping, now);
+        
+        // Only players close enough to hear the ping learn about it
+        if (loudness === Infinity) {
+            this.emit('pingEmitted', pingData);
+        } else {
+            this.sendToWitnesses(player => this.canHearPing(player, ping), 'pingEmitted', pingData);
+        }
+    }
+    
+    /**
+     * Emitters and their teammates always know about a ping; others only within its loudness.
+     * Bots only listen as far as their hearing range, so each one deals with the pings around it
+     * instead of every ping in a crowded arena.
+     */
+    canHearPing(listener, ping) {
+        if (listener.id === ping.playerId) return true;
+        if (listener.isBot) {
+            const range = Math.min(ping.loudness, this.botDifficulty.hearingRange);
+            return Math.hypot(listener.x - ping.x, listener.y - ping.y) <= range;
+        }
+        if (ping.loudness === Infinity) return true;
+        if (this.isTeamMode() && ping.team !== null && ping.team === listener.team) return true;
+        return Math.hypot(listener.x - ping.x, listener.y - ping.y) <= ping.loudness;
+    }
+    
+    // Stop giving away shooters whose reveal has worn off
+    updateReveals(now) {
+        this.revealed.forEach(entity => {
+            if (entity.revealedUntil <= now) this.revealed.delete(entity);
+        });
+    }
+    
+    // Drop pings whose wave has finished
+    updatePings(now) {
+        for (let i = this.pings.length - 1; i >= 0; i--) {
+            if (now - this.pings[i].timestamp > this.pings[i].duration) {
+                this.pings.splice(i, 1);
+            }
+        }
+    }
+    
+    /**
+     * Work out which entities a viewer can currently see and how clearly.
+     * Returns a Map of entity id -> visibility (0..1).
+     */
+    computeVisibility(viewer, now) {
+        const gameConfig = this.gameConfig;
+        const visible = new Map();
+        const viewerShotRecently = now - viewer.lastShoot < gameConfig.combatRevealTime;
+        
+        const reveal = (target, visibility) => {
+            if (target.id === viewer.id || !target.alive) return;
+            
+            // Teammates always know where each other are
+            if (this.areTeammates(viewer, target)) {
+                visible.set(target.id, 1);
+            } else if (visibility > (visible.get(target.id) || 0)) {
+                visible.set(target.id, visibility);
+            }
+        };
+        
+        if (this.isTeamMode() && this.teamMembers.has(viewer.team)) {
+            this.teamMembers.get(viewer.team).forEach(teammate => reveal(teammate, 1));
+        }
+        
+        // Sniper shots give the shooter away to everyone for a while
+        this.revealed.forEach(target => {
+            if (target.revealedUntil > now) reveal(target, 1);
+        });
+        
+        // Revealed by any ping wave we can hear
+        this.pings.forEach(ping => {
+            if (this.canHearPing(viewer, ping)) {
+                this.getPingReveals(ping, now).forEach((visibility, target) => reveal(target, visibility));
+            }
+        });
+        
+        const nearbyRange = Math.max(gameConfig.combatRevealRange, gameConfig.proximityRevealRange);
+        this.grid.queryRadius(viewer.x, viewer.y, nearbyRange).forEach(target => {
+            const distanceToViewer = Math.hypot(target.x - viewer.x, target.y - viewer.y);
+            let visibility = 0;
+            
+            // Gunfire reveals both the area around the shooter and the shooter itself
+            const targetShotRecently = now - target.lastShoot < gameConfig.combatRevealTime;
+            if ((viewerShotRecently || targetShotRecently) && distanceToViewer < gameConfig.combatRevealRange) {
+                const proximity = 1 - distanceToViewer / gameConfig.combatRevealRange;
+                visibility = Math.max(visibility, Math.min(1, 0.4 + 0.6 * proximity));
+            }
+            
+            // Anything right next to the viewer can't hide
+            if (distanceToViewer < gameConfig.proximityRevealRange) {
+                visibility = Math.max(visibility, 0.6);
+            }
+            
+            if (visibility > 0) reveal(target, visibility);
+        });
+        
+        return visible;
+    }
+    
+    /**
+     * Who a ping wave reveals right now: inside its shape and not behind a wall.
+     * Returns a Map of entity -> visibility, worked out once per step and shared by everyone who hears it.
+     */
+    getPingReveals(ping, now) {
+        if (ping.revealedAt === now) return ping.reveals;
+        
+        const reveals = new Map();
+        const revealRadius = this.getPingRevealRadius(ping, now);
+        if (revealRadius > 0) {
+            this.grid.queryRadius(ping.x, ping.y, revealRadius).forEach(target => {
+                const visibility = this.getPingVisibilityAt(ping, now, revealRadius, target.x, target.y);
+                if (visibility > 0) reveals.set(target, visibility);
+            });
+        }
+        
+        ping.revealedAt = now;
+        ping.reveals = reveals;
+        return reveals;
+    }
+    
+    // How far a ping wave reveals things right now (0 once it has finished)
+    getPingRevealRadius(ping, now) {
+        const progress = (now - ping.timestamp) / ping.duration;
+        return progress < 1 ? progress * ping.maxRadius + this.gameConfig.pingRevealMargin : 0;
+    }
+    
+    // How clearly a ping wave shows a spot: fading with the wave and with distance, 0 outside its shape or behind a wall
+    getPingVisibilityAt(ping, now, revealRadius, x, y) {
+        const distance = Math.hypot(x - ping.x, y - ping.y);
+        if (distance >= revealRadius ||
+            !isWithinArc(ping.x, ping.y, ping.direction, ping.arc, x, y) ||
+            isLineBlocked(this.map.walls, ping.x, ping.y, x, y)) {
+            return 0;
+        }
+        
+        const progress = (now - ping.timestamp) / ping.duration;
+        return Math.min(1, (1 - progress) * (1 - distance / revealRadius) * 1.5);
+    }
+    
+    // Pickups a ping wave reveals right now: pickup id -> visibility (pickups never move, so this is kept per step)
+    getPingPickupReveals(ping, now) {
+        if (ping.pickupsRevealedAt === now) return ping.pickupReveals;
+        
+        const reveals = new Map();
+        const revealRadius = this.getPingRevealRadius(ping, now);
+        if (revealRadius > 0) {
+            this.pickups.forEach(pickup => {
+                const visibility = this.getPingVisibilityAt(ping, now, revealRadius, pickup.x, pickup.y);
+                if (visibility > 0) reveals.set(pickup.id, visibility);
+            });
+        }
+        
+        ping.pickupsRevealedAt = now;
+        ping.pickupReveals = reveals;
+        return reveals;
+    }
+    
+    /**
+     * Pickups a viewer can see right now, found the same ways as players: by pings it can hear, or right next to it.
+     * Returns a Map of pickup id -> visibility (0..1).
+     */
+    computePickupVisibility(viewer, now) {
+        const visible = new Map();
+        if (!this.gameConfig.pickups) return visible;
+        
+        const reveal = (pickupId, visibility) => {
+            if (this.pickups[pickupId].active && visibility > (visible.get(pickupId) || 0)) {
+                visible.set(pickupId, visibility);
+            }
+        };
+        
+        this.pings.forEach(ping => {
+            if (this.canHearPing(viewer, ping)) {
+                this.getPingPickupReveals(ping, now).forEach((visibility, pickupId) => reveal(pickupId, visibility));
+            }
+        });
+        
+        this.pickups.forEach(pickup => {
+            if (Math.hypot(pickup.x - viewer.x, pickup.y - viewer.y) < this.gameConfig.proximityRevealRange) {
+                reveal(pickup.id, 0.6);
+            }
+        });
+        
+        return visible;
+    }
+    
+    // Pickup spots from the map, or pickupCount random ones clear of walls when the map has none
+    createPickups() {
+        const gameConfig = this.gameConfig;
+        let points = this.map.pickupPoints;
+        if (points.length === 0) {
+            points = [];
+            for (let i = 0; i < gameConfig.pickupCount; i++) {
+                points.push({ ...this.getRandomPickupPosition(), type: null });
+            }
+        }
+        
+        return points.map((point, index) => ({
+            id: index, // Short id used in snapshots
+            x: point.x,
+            y: point.y,
+            fixedType: point.type, // Spots with a fixed type always hold the same item
+            type: point.type || pickPickupType(this.random),
+            active: true, // Whether the item is there to be collected
+            respawnAt: 0
+        }));
+    }
+    
+    getRandomPickupPosition() {
+        const gameConfig = this.gameConfig;
+        let position = { x: gameConfig.worldWidth / 2, y: gameConfig.worldHeight / 2 };
+        
+        for (let attempt = 0; attempt < 50; attempt++) {
+            position = {
+                x: PICKUP_MARGIN + this.random() * (gameConfig.worldWidth - PICKUP_MARGIN * 2),
+                y: PICKUP_MARGIN + this.random() * (gameConfig.worldHeight - PICKUP_MARGIN * 2)
+            };
+            if (!collidesWithWalls(this.map.walls, position.x, position.y, PICKUP_RADIUS + gameConfig.playerRadius)) break;
+        }
+        
+        return position;
+    }
+    
+    // Bring back collected items and hand out the ones someone is touching
+    updatePickups(now) {
+        const gameConfig = this.gameConfig;
+        if (!gameConfig.pickups) return;
+        
+        const reach = PICKUP_RADIUS + gameConfig.playerRadius;
+        this.pickups.forEach(pickup => {
+            if (!pickup.active) {
+                if (now >= pickup.respawnAt) this.respawnPickup(pickup);
+                return;
+            }
+            
+            // Closest first, so two players arriving together can't both get it
+            const collector = this.grid.queryRadius(pickup.x, pickup.y, reach)
+                .filter(entity => entity.alive && canCollect(entity, pickup.type, this.weapons))
+                .sort((a, b) => Math.hypot(a.x - pickup.x, a.y - pickup.y) - Math.hypot(b.x - pickup.x, b.y - pickup.y))[0];
+            if (collector) this.collectPickup(collector, pickup, now);
+        });
+    }
+    
+    collectPickup(entity, pickup, now) {
+        const expiresAt = applyPickup(entity, pickup.type, now, this.weapons);
+        if (pickup.type === 'ammo') this.sendWeaponState(entity, now);
+        pickup.active = false;
+        pickup.respawnAt = now + this.gameConfig.pickupRespawnTime;
+        
+        // Only the collector (and spectators) find out; everyone else just stops seeing it
+        const collected = {
+            id: pickup.id,
+            type: pickup.type,
+            playerId: entity.id,
+            x: pickup.x,
+            y: pickup.y,
+            duration: expiresAt > 0 ? expiresAt - now : 0
+        };
+        if (!entity.isBot) this.output.sendTo(entity.id, 'pickupCollected', collected);
+        this.output.sendToSpectators('pickupCollected', collected);
+    }
+    
+    respawnPickup(pickup) {
+        pickup.type = pickup.fixedType || pickPickupType(this.random);
+        pickup.active = true;
+    }
+    
+    // Add a new player (profileId links lifetime stats, if they have a profile); returns the player
+    addPlayer(playerId, profileId) {
+        const gameConfig = this.gameConfig;
+        const now = this.clock();
+        const team = this.pickTeam();
+        const profile = profileId && this.profiles ? this.profiles.join(profileId) : null;
+        const spawn = this.getSpawnPosition();
+        
+        // Create new player
+        const newPlayer = {
+            id: playerId,
+            netId: this.netIdCounter++,
+            profileId: profileId || null,
+            name: profile ? profile.name : 'Player',
+            x: spawn.x,
+            y: spawn.y,
+            color: team ? team.color : `hsl(${this.random() * 360}, 70%, 50%)`,
+            team: team ? team.id : null,
+            lastPings: {}, // Last use of each sonar type
+            alive: true,
+            joinTime: now,
+            spawnedAt: now,
+            respawnAt: null, // When a dead player comes back
+            score: 0,
+            kills: 0,
+            deaths: 0,
+            health: gameConfig.maxHealth,
+            maxHealth: gameConfig.maxHealth,
+            lastShoot: 0, // Last gunshot (gunfire gives away where it came from)
+            nextShotAt: 0, // No weapon can be used again before this (the fire interval of the last one used)
+            weapon: 'pistol', // Weapon in hand
+            ammo: createAmmo(this.weapons), // weapon id -> { magazine, reserve }
+            reload: null, // Reload in progress: { weapon, readyAt }
+            revealedUntil: 0, // A sniper shot shows the shooter to everyone until then
+            history: [], // Recent positions for lag-compensated hits
+            isBot: false,
+            visible: new Map(), // Entities this player can currently see
+            input: { up: false, down: false, left: false, right: false },
+            lastInputSeq: 0, // Last input command applied by the server
+            inputChangedAt: now, // When that command arrived
+            movedAt: now, // Input has been applied up to this time
+            charging: null, // Sonar being charged: { type, direction, readyAt }
+            effects: {}, // Pickup effects: type id -> when it wears off
+            visiblePickups: new Map() // Pickup id -> visibility, for pickups this player can currently see
+        };
+        
+        this.players.set(playerId, newPlayer);
+        this.trackEntity(newPlayer);
+        
+        // Notify other players about the new player
+        this.output.broadcastExcept(playerId, 'playerJoined', getPublicInfo(newPlayer));
+        
+        // Make room for the new player if the world is crowded
+        this.manageBotPopulation();
+        
+        return newPlayer;
+    }
+    
+    // Take a player out of the world
+    removePlayer(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+        
+        this.recordSurvival(player, this.clock());
+        
+        // Notify other players
+        this.emit('playerLeft', {
+            id: playerId,
+            finalScore: player.score
+        });
+        
+        // Remove player from game state
+        this.players.delete(playerId);
+        this.untrackEntity(player);
+        this.removeMinesOf(playerId);
+        this.bullets.forEach(bullet => bullet.seenBy.delete(playerId)); // Told again if they come back
+        
+        // Check if we need to add bots
+        this.manageBotPopulation();
+    }
+    
+    // Handle movement input (the server simulates the actual movement)
+    handleInput(playerId, inputData) {
+        const player = this.players.get(playerId);
+        if (!player || !inputData || !Number.isInteger(inputData.seq)) return;
+        
+        // Ignore stale or reordered commands
+        if (inputData.seq <= player.lastInputSeq) return;
+        
+        // Finish moving with the old input first, so each input lasts exactly as long as on the client
+        const now = this.clock();
+        this.movePlayer(player, now);
+        
+        player.lastInputSeq = inputData.seq;
+        player.inputChangedAt = now;
+        player.input = {
+            up: !!inputData.up,
+            down: !!inputData.down,
+            left: !!inputData.left,
+            right: !!inputData.right
+        };
+    }
+    
+    // Handle ping/sonar emission
+    handlePing(playerId, pingRequest) {
+        const player = this.players.get(playerId);
+        if (!player || !player.alive || player.charging) return;
+        
+        const now = this.clock();
+        const request = pingRequest || {};
+        const sonarType = this.sonarTypes[request.type] || this.sonarTypes.pulse;
+        const direction = Number.isFinite(request.angle) ? request.angle : 0;
+        const lastUsed = player.lastPings[sonarType.id] || 0;
+        const cooldown = getSonarCooldown(player, sonarType, now);
+        
+        // Check cooldown
+        if (now - lastUsed < cooldown) {
+            this.output.sendTo(playerId, 'pingCooldown', {
+                type: sonarType.id,
+                remaining: cooldown - (now - lastUsed)
+            });
+            return;
+        }
+        
+        player.lastPings[sonarType.id] = now;
+        this.recordProfileStats(player, { pingsFired: 1 });
+        
+        // Charged sonar goes off later, from wherever the player is by then
+        if (sonarType.chargeTime > 0) {
+            player.charging = { type: sonarType.id, direction: direction, readyAt: now + sonarType.chargeTime };
+            this.output.sendTo(playerId, 'sonarCharging', {
+                type: sonarType.id,
+                chargeTime: sonarType.chargeTime
+            });
+            return;
+        }
+        
+        // Broadcast ping to everyone who can hear it (including sender)
+        this.emitPingFrom(player, now, sonarType.id, direction);
+    }
+    
+    // Fire sonar that has finished charging
+    updateCharging(now) {
+        this.players.forEach(player => {
+            if (player.charging && now >= player.charging.readyAt) {
+                const { type, direction } = player.charging;
+                player.charging = null;
+                if (player.alive) {
+                    this.emitPingFrom(player, now, type, direction);
+                }
+            }
+        });
+    }
+    
+    // Handle shooting (with whatever weapon the player has in hand)
+    handleShoot(playerId, shootData) {
+        const gameConfig = this.gameConfig;
+        const player = this.players.get(playerId);
+        if (!player || !player.alive || !this.isCombatEnabled()) return;
+        if (!shootData || !Number.isFinite(shootData.angle)) return;
+        
+        const now = this.clock();
+        
+        // Rewind hits to what the shooter was looking at, but never further than the cap
+        const viewTime = Number.isFinite(shootData.viewTime) ? shootData.viewTime : now;
+        const rewindTime = Math.max(0, Math.min(gameConfig.maxRewindTime, now - viewTime));
+        this.fireWeapon(player, shootData.angle, now, rewindTime);
+    }
+    
+    // Number keys: take another weapon in hand (an unfinished reload is lost)
+    handleSwitchWeapon(playerId, weaponId) {
+        const player = this.players.get(playerId);
+        if (!player || !Object.prototype.hasOwnProperty.call(this.weapons, weaponId)) return;
+        
+        if (this.switchWeapon(player, weaponId)) {
+            this.sendWeaponState(player, this.clock());
+        }
+    }
+    
+    handleReload(playerId) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+        
+        const now = this.clock();
+        if (this.startReload(player, now)) {
+            this.sendWeaponState(player, now);
+        }
+    }
+    
+    // Returns false when the weapon was already in hand
+    switchWeapon(entity, weaponId) {
+        if (entity.weapon === weaponId) return false;
+        
+        entity.weapon = weaponId;
+        entity.reload = null;
+        return true;
+    }
+    
+    // Start refilling the magazine in hand from its reserve; returns false when there is nothing to reload
+    startReload(entity, now) {
+        const weapon = this.weapons[entity.weapon];
+        const ammo = entity.ammo[weapon.id];
+        if (!entity.alive || entity.reload || ammo.magazine >= weapon.magazineSize || ammo.reserve <= 0) return false;
+        
+        entity.reload = { weapon: weapon.id, readyAt: now + weapon.reloadTime };
+        return true;
+    }
+    
+    // Finish reloads that are done
+    updateReloads(now) {
+        [...this.players.values(), ...this.bots.values()].forEach(entity => {
+            if (!entity.reload || now < entity.reload.readyAt) return;
+            
+            const weapon = this.weapons[entity.reload.weapon];
+            const ammo = entity.ammo[weapon.id];
+            const loaded = Math.min(weapon.magazineSize - ammo.magazine, ammo.reserve);
+            ammo.magazine += loaded;
+            ammo.reserve -= loaded;
+            entity.reload = null;
+            this.sendWeaponState(entity, now);
+        });
+    }
+    
+    // Whether the weapon in hand is loaded, not reloading and ready to fire again
+    canFire(entity, now) {
+        const weapon = this.weapons[entity.weapon];
+        return entity.alive && !entity.reload && entity.ammo[weapon.id].magazine > 0 &&
+            now >= entity.nextShotAt;
+    }
+    
+    /**
+     * Use the weapon in hand, for players and bots alike (bots see the present, so they never need rewinding).
+     * An empty magazine starts reloading by itself. Returns whether the weapon went off.
+     */
+    fireWeapon(entity, angle, now, rewindTime = 0) {
+        const weapon = this.weapons[entity.weapon];
+        const ammo = entity.ammo[weapon.id];
+        if (ammo.magazine === 0 && this.startReload(entity, now)) {
+            this.sendWeaponState(entity, now);
+        }
+        if (!this.canFire(entity, now)) return false;
+        
+        ammo.magazine--;
+        entity.nextShotAt = now + weapon.fireInterval;
+        
+        if (weapon.type === 'mine') {
+            this.placeMine(entity, weapon, now);
+        } else {
+            entity.lastShoot = now;
+            for (let i = 0; i < weapon.pellets; i++) {
+                this.fireBullet(entity, weapon, angle + (this.random() - 0.5) * weapon.spread, now, rewindTime);
+            }
+            if (weapon.revealTime > 0) {
+                entity.revealedUntil = now + weapon.revealTime;
+                this.revealed.add(entity);
+            }
+            this.alertBotsToGunfire(entity, now);
+        }
+        
+        if (ammo.magazine === 0) this.startReload(entity, now);
+        this.sendWeaponState(entity, now);
+        return true;
+    }
+    
+    fireBullet(shooter, weapon, angle, now, rewindTime) {
+        // Create bullet
+        const bulletId = `bullet_${this.bulletIdCounter++}`;
+        const bullet = {
+            id: bulletId,
+            ownerId: shooter.id,
+            ownerName: shooter.name,
+            weapon: weapon.id,
+            x: shooter.x,
+            y: shooter.y,
+            vx: Math.cos(angle) * weapon.speed,
+            vy: Math.sin(angle) * weapon.speed,
+            damage: weapon.damage,
+            color: shooter.color,
+            team: shooter.team,
+            createdAt: now,
+            lifetime: weapon.range / weapon.speed * 1000, // milliseconds until it has flown its range
+            rewindTime: rewindTime, // milliseconds back in time this bullet checks for hits
+            seenBy: new Set() // Players who have been told about it
+        };
+        
+        this.bullets.set(bulletId, bullet);
+        
+        // Clients fly bullets on themselves; spectators see every one, players only those they can see
+        this.output.sendToSpectators('bulletFired', getBulletInfo(bullet, now));
+        this.shareBullet(bullet, now);
+    }
+    
+    // Drop a mine at the owner's feet; only so many can be out at once, so the oldest may have to go
+    placeMine(owner, weapon, now) {
+        const owned = [...this.mines.values()].filter(mine => mine.ownerId === owner.id);
+        if (owned.length >= weapon.maxActive) this.removeMine(owned[0]);
+        
+        const mine = {
+            id: `mine_${this.mineIdCounter++}`,
+            ownerId: owner.id,
+            ownerName: owner.name,
+            team: owner.team,
+            color: owner.color,
+            x: owner.x,
+            y: owner.y,
+            armedAt: now + weapon.armTime,
+            expiresAt: now + weapon.lifetime
+        };
+        this.mines.set(mine.id, mine);
+        this.notifyMineWatchers(mine, 'minePlaced', getMineInfo(mine));
+    }
+    
+    // Set off armed mines an enemy has walked up to and clear away old ones
+    updateMines(now) {
+        const weapon = this.weapons.mine;
+        this.mines.forEach(mine => {
+            if (now >= mine.expiresAt) {
+                this.removeMine(mine);
+            } else if (now >= mine.armedAt &&
+                this.grid.queryRadius(mine.x, mine.y, weapon.triggerRadius).some(entity => entity.alive && this.isMineTarget(mine, entity))) {
+                this.explodeMine(mine, now);
+            }
+        });
+    }
+    
+    // Mines leave their owner and the owner's team alone
+    isMineTarget(mine, entity) {
+        const teammate = this.isTeamMode() && mine.team !== null && mine.team === entity.team;
+        return entity.id !== mine.ownerId && !teammate;
+    }
+    
+    // Everyone caught in the blast is hurt, unless a wall is in the way (teammates only with friendly fire)
+    explodeMine(mine, now) {
+        const weapon = this.weapons.mine;
+        this.mines.delete(mine.id);
+        
+        // A blast is seen from as far away as gunfire (and by anyone it reaches); the owner's side always hears theirs go off
+        const seenFrom = Math.max(this.gameConfig.combatRevealRange, weapon.blastRadius);
+        const seesBlast = viewer => this.knowsMine(viewer, mine) || Math.hypot(viewer.x - mine.x, viewer.y - mine.y) <= seenFrom;
+        this.sendToWitnesses(seesBlast, 'mineExploded', {
+            id: mine.id,
+            x: Math.round(mine.x),
+            y: Math.round(mine.y),
+            radius: weapon.blastRadius
+        });
+        
+        this.grid.queryRadius(mine.x, mine.y, weapon.blastRadius).forEach(target => {
+            if (!target.alive || target.id === mine.ownerId) return;
+            
+            const friendly = !this.isMineTarget(mine, target);
+            if (friendly && !this.gameConfig.friendlyFire) return;
+            if (isLineBlocked(this.map.walls, mine.x, mine.y, target.x, target.y)) return;
+            
+            this.damageEntity(target, weapon.damage, { id: mine.ownerId, name: mine.ownerName }, friendly, now);
+        });
+    }
+    
+    removeMine(mine) {
+        this.mines.delete(mine.id);
+        this.notifyMineWatchers(mine, 'mineRemoved', mine.id);
+    }
+    
+    removeMinesOf(ownerId) {
+        this.mines.forEach(mine => {
+            if (mine.ownerId === ownerId) this.removeMine(mine);
+        });
+    }
+    
+    // Only a mine's owner, the owner's team and spectators know where it is
+    knowsMine(viewer, mine) {
+        return viewer.id === mine.ownerId || (this.isTeamMode() && mine.team !== null && mine.team === viewer.team);
+    }
+    
+    notifyMineWatchers(mine, event, data) {
+        const watchers = this.isTeamMode() && this.teamMembers.has(mine.team) ?
+            this.teamMembers.get(mine.team) : [this.players.get(mine.ownerId)];
+        watchers.forEach(watcher => {
+            if (watcher && !watcher.isBot) this.output.sendTo(watcher.id, event, data);
+        });
+        this.output.sendToSpectators(event, data);
+    }
+    
+    // The weapon in hand, ammo of every weapon (unlimited reserves arrive as null) and any reload in progress
+    getWeaponState(entity, now) {
+        return {
+            weapon: entity.weapon,
+            ammo: entity.ammo,
+            reload: entity.reload ? { weapon: entity.reload.weapon, remaining: Math.round(entity.reload.readyAt - now) } : null
+        };
+    }
+    
+    sendWeaponState(entity, now) {
+        if (!entity.isBot) {
+            this.output.sendTo(entity.id, 'weaponState', this.getWeaponState(entity, now));
+        }
+    }
+    
+    // Handle player name update
+    setPlayerName(playerId, name) {
+        const player = this.players.get(playerId);
+        if (player) {
+            player.name = (typeof name === 'string' && cleanText(name, MAX_NAME_LENGTH)) || 'Anonymous';
+            if (this.profiles && player.profileId) {
+                this.profiles.setName(player.profileId, player.name);
+            }
+            if (this.replay) this.replay.recordName(player, this.clock());
+            
+            // Broadcast name update to all players
+            this.emit('playerNameUpdated', {
+                id: playerId,
+                name: player.name
+            });
+        }
+    }
+    
+    // Chat: everyone in the arena hears the 'all' channel, only teammates hear 'team' (team mode only)
+    handleChatMessage(playerId, chatData) {
+        const player = this.players.get(playerId);
+        if (!player || !chatData || typeof chatData !== 'object') return;
+        
+        const message = cleanChatMessage(chatData.message, this.gameConfig);
+        if (!message) return;
+        
+        const now = this.clock();
+        const retryIn = takeChatSlot(player, now, this.gameConfig);
+        if (retryIn > 0) {
+            this.output.sendTo(playerId, 'chatRejected', { reason: 'You are sending messages too fast', retryIn: retryIn });
+            return;
+        }
+        
+        const channel = chatData.channel === 'team' && this.isTeamMode() ? 'team' : 'all';
+        const chatMessage = {
+            playerId: playerId,
+            name: player.name,
+            color: player.color,
+            team: player.team,
+            channel: channel,
+            message: message,
+            timestamp: now
+        };
+        
+        if (channel === 'team') {
+            this.teamMembers.get(player.team).forEach(member => {
+                if (!member.isBot) this.output.sendTo(member.id, 'chatMessage', chatMessage);
+            });
+        } else {
+            this.emit('chatMessage', chatMessage);
+        }
+    }
+    
+    // Round lifecycle
+    getRoundState(now) {
+        return {
+            number: this.round.number,
+            phase: this.round.phase,
+            remaining: Math.max(0, this.round.endsAt - now),
+            scoreLimit: this.gameConfig.scoreLimit,
+            killLimit: this.gameConfig.killLimit
+        };
+    }
+    
+    // Nobody can shoot while the results are up
+    isCombatEnabled() {
+        return this.round.phase !== 'intermission';
+    }
+    
+    // Add a bot beyond the configured limits; it stays until it is removed by hand
+    spawnExtraBot() {
+        this.extraBots++;
+        return this.createBot();
+    }
+    
+    // Take a particular bot out without another one taking its place; returns false for unknown bots
+    removeExtraBot(botId) {
+        if (!this.bots.has(botId)) return false;
+        
+        this.extraBots--;
+        this.removeBot(botId);
+        return true;
+    }
+    
+    // Start everyone's score over in the middle of a round
+    resetLeaderboard(now) {
+        this.resetStats();
+        this.scoresResetAt = now;
+    }
+    
+    resetStats() {
+        [...this.players.values(), ...this.bots.values()].forEach(entity => {
+            entity.score = 0;
+            entity.kills = 0;
+            entity.deaths = 0;
+        });
+    }
+    
+    // Warmup is practice: stats start counting from here
+    startMatch(now) {
+        this.resetStats();
+        this.round.phase = 'active';
+        this.round.startedAt = now;
+        this.round.endsAt = now + this.gameConfig.roundTime;
+        
+        if (this.gameConfig.recordReplays) {
+            this.replay = new ReplayRecorder(this, now);
+        }
+        this.emit('roundPhase', this.getRoundState(now));
+    }
+    
+    endRound(now, reason) {
+        const leaderboard = this.getLeaderboard();
+        const teamScores = this.getTeamScores();
+        
+        this.round.phase = 'intermission';
+        this.round.endsAt = now + this.gameConfig.intermissionTime;
+        
+        // Everyone still here at the end has played a full game
+        this.players.forEach(player => this.recordProfileStats(player, { gamesPlayed: 1 }));
+        
+        if (this.replay) {
+            this.replay.save(now);
+            this.replay = null;
+        }
+        
+        // Clear bullets still in flight
+        this.bullets.forEach((bullet, bulletId) => {
+            this.emit('bulletRemoved', bulletId);
+        });
+        this.bullets.clear();
+        this.mines.forEach(mine => this.removeMine(mine));
+        
+        this.emit('roundEnded', {
+            number: this.round.number,
+            reason: reason,
+            winner: leaderboard[0] || null,
+            winningTeam: teamScores[0] || null,
+            leaderboard: leaderboard,
+            teamScores: teamScores,
+            intermission: this.gameConfig.intermissionTime
+        });
+        this.emit('roundPhase', this.getRoundState(now));
+    }
+    
+    // Fresh round: wipe stats and respawn everyone
+    startWarmup(now) {
+        this.resetStats();
+        this.players.forEach(player => this.respawnPlayer(player.id));
+        this.bots.forEach(bot => this.respawnBot(bot));
+        this.pickups.forEach(pickup => this.respawnPickup(pickup));
+        
+        this.round.number++;
+        this.round.phase = 'warmup';
+        this.round.endsAt = now + this.gameConfig.warmupTime;
+        this.emit('roundPhase', this.getRoundState(now));
+    }
+    
+    updateRound(now) {
+        const gameConfig = this.gameConfig;
+        const round = this.round;
+        
+        if (round.phase === 'warmup' && now >= round.endsAt) {
+            this.startMatch(now);
+        } else if (round.phase === 'intermission' && now >= round.endsAt) {
+            this.startWarmup(now);
+        } else if (round.phase === 'active') {
+            // Team mode plays to team totals, free-for-all to individual ones
+            const entities = this.isTeamMode()
+                ? this.getTeamScores()
+                : [...this.players.values(), ...this.bots.values()];
+            
+            if (now >= round.endsAt) {
+                this.endRound(now, 'time');
+            } else if (gameConfig.scoreLimit > 0 && entities.some(entity => entity.score >= gameConfig.scoreLimit)) {
+                this.endRound(now, 'score');
+            } else if (gameConfig.killLimit > 0 && entities.some(entity => entity.kills >= gameConfig.killLimit)) {
+                this.endRound(now, 'kills');
+            }
+        }
+    }
+    
+    // Score is survival time this round plus a bonus per kill (only while a round is live)
+    updateScores(now) {
+        if (this.round.phase !== 'active') return;
+        
+        [...this.players.values(), ...this.bots.values()].forEach(entity => {
+            if (entity.alive) {
+                const since = Math.max(entity.joinTime, this.round.startedAt, this.scoresResetAt);
+                entity.score = Math.floor((now - since) / 1000) + (entity.kills * 100);
+            }
+        });
+    }
+    
+    /**
+     * Catch the simulation up with the clock in fixed steps.
+     * Returns how many milliseconds had to be skipped after a stall (0 normally).
+     */
+    tick() {
+        const now = this.clock();
+        
+        let steps = 0;
+        while (now - this.simulationTime >= this.stepInterval && steps < MAX_CATCH_UP_STEPS) {
+            this.simulationTime += this.stepInterval;
+            this.step(this.simulationTime, this.stepInterval / 1000);
+            steps++;
+        }
+        
+        // Stalled for too long: skip ahead rather than racing through the backlog
+        let skipped = 0;
+        if (now - this.simulationTime >= this.stepInterval) {
+            skipped = now - this.simulationTime;
+            this.simulationTime = now;
+        }
+        return skipped;
+    }
+    
+    // Advance the world by one fixed step (deltaTime in seconds)
+    step(now, deltaTime) {
+        // Expire finished pings and reveals, fire charged ones and finish reloads
+        this.updatePings(now);
+        this.updateReveals(now);
+        this.updateCharging(now);
+        this.updateReloads(now);
+        
+        // Bring back dead players and move everyone from their input
+        this.updateRespawns(now);
+        this.updatePlayers(now);
+        
+        // Update bots
+        this.updateBots(now, deltaTime);
+        this.recordHistory(now);
+        
+        // Hand out pickups to whoever reached them
+        this.updatePickups(now);
+        
+        // Update bullets and mines and check collisions
+        this.updateBullets(now, deltaTime);
+        this.updateMines(now);
+        
+        // Manage bot population
+        this.manageBotPopulation();
+        
+        // Update scores and check for a round winner
+        this.updateScores(now);
+        this.updateRound(now);
+    }
+    
+    // Work out what every player can see right now (kept in player.visible)
+    updateVisibility(now) {
+        // Ping reveals worked out while bots were still moving this step are out of date
+        this.pings.forEach(ping => {
+            ping.revealedAt = null;
+        });
+        
+        this.players.forEach(player => {
+            player.visible = this.computeVisibility(player, now);
+            player.visiblePickups = this.computePickupVisibility(player, now);
+        });
+    }
+}
+
+module.exports = { GameWorld, NULL_OUTPUT, getPublicInfo, getBulletInfo, getMineInfo };
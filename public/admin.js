@@ -0,0 +1,291 @@
+/**
+ * Echo.io - Admin Panel
+ * Talks to the server's /admin namespace (see lib/admin.js): lists who is connected, kicks and bans,
+ * manages bots, changes live settings and sends announcements.
+ */
+
+// Admin panel state
+const admin = {
+    socket: null,
+    settings: [], // Live settings as last loaded from the server
+    refreshTimer: null
+};
+
+const REFRESH_INTERVAL = 2000; // ms between player list updates
+const TOKEN_STORAGE_KEY = 'echoAdminToken';
+
+document.addEventListener('DOMContentLoaded', initAdminPanel);
+
+/**
+ * Initialize the admin panel
+ */
+function initAdminPanel() {
+    document.getElementById('loginForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        signIn(document.getElementById('tokenInput').value.trim());
+    });
+    
+    document.getElementById('signOutBtn').addEventListener('click', signOut);
+    
+    document.getElementById('announceForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById('announceInput');
+        sendCommand('announce', { message: input.value }, () => {
+            input.value = '';
+        });
+    });
+    
+    document.getElementById('resetAllBtn').addEventListener('click', () => {
+        if (confirm('Reset the leaderboard in every arena?')) {
+            sendCommand('resetLeaderboard', {}, refresh);
+        }
+    });
+    
+    document.getElementById('configForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        applySettings();
+    });
+    
+    // Stay signed in for this browser tab
+    const savedToken = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+    if (savedToken) signIn(savedToken);
+}
+
+/**
+ * Connect to the admin namespace with a token
+ */
+function signIn(token) {
+    if (admin.socket) admin.socket.disconnect();
+    
+    admin.socket = io('/admin', { auth: { token: token } });
+    
+    admin.socket.on('connect', () => {
+        sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+        document.getElementById('loginForm').classList.add('hidden');
+        document.getElementById('adminPanel').classList.remove('hidden');
+        setStatus('Connected');
+        
+        loadSettings();
+        refresh();
+        clearInterval(admin.refreshTimer);
+        admin.refreshTimer = setInterval(refresh, REFRESH_INTERVAL);
+    });
+    
+    // A wrong token is turned away before connecting
+    admin.socket.on('connect_error', (error) => {
+        if (error.message === 'Invalid admin token') {
+            signOut();
+            document.getElementById('loginError').textContent = 'Wrong admin token';
+        }
+    });
+    
+    admin.socket.on('disconnect', () => {
+        setStatus('Disconnected, reconnecting...');
+    });
+}
+
+function signOut() {
+    if (admin.socket) admin.socket.disconnect();
+    admin.socket = null;
+    clearInterval(admin.refreshTimer);
+    sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    document.getElementById('adminPanel').classList.add('hidden');
+    document.getElementById('loginForm').classList.remove('hidden');
+    document.getElementById('loginError').textContent = '';
+}
+
+function setStatus(message) {
+    document.getElementById('adminStatus').textContent = message;
+}
+
+/**
+ * Run an admin command; failures are shown in the status line
+ */
+function sendCommand(name, data, onSuccess) {
+    if (!admin.socket || !admin.socket.connected) return;
+    
+    admin.socket.emit(name, data, (response) => {
+        if (!response.ok) {
+            setStatus(`${name} failed: ${response.error}`);
+            return;
+        }
+        if (onSuccess) onSuccess(response);
+    });
+}
+
+/**
+ * Reload arenas, players and bans
+ */
+function refresh() {
+    sendCommand('listPlayers', {}, (response) => {
+        renderArenas(response.arenas);
+        renderPlayers(response.clients);
+    });
+    sendCommand('listBans', {}, (response) => renderBans(response.bans));
+}
+
+/**
+ * Small DOM helpers (player names are never inserted as HTML)
+ */
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function createButton(label, onClick) {
+    const button = createElement('button', 'replay-btn admin-btn', label);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+function createRow(cells) {
+    const row = document.createElement('tr');
+    cells.forEach(cell => {
+        const td = document.createElement('td');
+        if (cell instanceof Node) {
+            td.appendChild(cell);
+        } else {
+            td.textContent = cell;
+        }
+        row.appendChild(td);
+    });
+    return row;
+}
+
+function renderArenas(arenas) {
+    const list = document.getElementById('arenaList');
+    list.innerHTML = '';
+    
+    arenas.forEach(arena => {
+        const card = createElement('div', 'admin-arena');
+        const header = createElement('div', 'admin-row');
+        header.appendChild(createElement('strong', null, arena.code));
+        header.appendChild(createElement('span', null,
+            `${arena.players} playing, ${arena.spectators} watching, ${arena.bots.length} ${arena.botDifficulty} bots, round ${arena.round.number} (${arena.round.phase})`));
+        header.appendChild(createButton('SPAWN BOT', () => sendCommand('spawnBot', { arena: arena.code }, refresh)));
+        header.appendChild(createButton('RESET LEADERBOARD', () => sendCommand('resetLeaderboard', { arena: arena.code }, refresh)));
+        card.appendChild(header);
+        
+        const bots = createElement('div', 'admin-bots');
+        arena.bots.forEach(bot => {
+            const chip = createElement('span', 'admin-bot', `${bot.name} (${bot.score})`);
+            chip.appendChild(createButton('✕', () => sendCommand('removeBot', { arena: arena.code, botId: bot.id }, refresh)));
+            bots.appendChild(chip);
+        });
+        card.appendChild(bots);
+        list.appendChild(card);
+    });
+}
+
+function renderPlayers(clients) {
+    const list = document.getElementById('playerList');
+    list.innerHTML = '';
+    
+    clients.forEach(client => {
+        const actions = createElement('span', 'admin-actions');
+        actions.appendChild(createButton('KICK', () => {
+            const reason = prompt(`Kick ${client.name || client.id}? Reason (optional):`);
+            if (reason !== null) sendCommand('kick', { playerId: client.id, reason: reason }, refresh);
+        }));
+        actions.appendChild(createButton('BAN', () => {
+            const reason = prompt(`Ban ${client.address}? Everyone connected from there is dropped. Reason (optional):`);
+            if (reason !== null) sendCommand('ban', { playerId: client.id, reason: reason }, refresh);
+        }));
+        
+        list.appendChild(createRow([
+            client.spectating ? `${client.name || 'Spectator'} (watching)` : client.name,
+            client.arena || '-',
+            client.address,
+            client.latency === null ? '-' : `${client.latency}ms`,
+            client.score,
+            `${client.kills}/${client.deaths}`,
+            actions
+        ]));
+    });
+}
+
+function renderBans(bans) {
+    const list = document.getElementById('banList');
+    list.innerHTML = '';
+    
+    bans.forEach(ban => {
+        list.appendChild(createRow([
+            ban.address,
+            ban.name || '-',
+            ban.reason || '-',
+            new Date(ban.bannedAt).toLocaleString(),
+            createButton('UNBAN', () => sendCommand('unban', { address: ban.address }, refresh))
+        ]));
+    });
+}
+
+/**
+ * Settings form: one field per live setting, limited to what the server accepts
+ */
+function loadSettings() {
+    sendCommand('getConfig', {}, (response) => {
+        admin.settings = response.settings;
+        renderSettings();
+    });
+}
+
+function renderSettings() {
+    const fields = document.getElementById('configFields');
+    fields.innerHTML = '';
+    
+    admin.settings.forEach(setting => {
+        const label = createElement('label', 'admin-setting');
+        label.title = setting.description;
+        label.appendChild(createElement('span', null, setting.key));
+        
+        let input;
+        if (setting.type === 'boolean') {
+            input = createElement('input');
+            input.type = 'checkbox';
+            input.checked = setting.value;
+        } else if (setting.values) {
+            input = createElement('select');
+            setting.values.forEach(value => input.appendChild(createElement('option', null, value)));
+            input.value = setting.value;
+        } else {
+            input = createElement('input');
+            input.type = 'number';
+            input.min = setting.min;
+            input.max = setting.max;
+            input.step = setting.type === 'integer' ? 1 : 'any';
+            input.value = setting.value;
+        }
+        input.dataset.key = setting.key;
+        label.appendChild(input);
+        fields.appendChild(label);
+    });
+}
+
+// Send only the settings that were changed in the form
+function applySettings() {
+    const changes = {};
+    admin.settings.forEach(setting => {
+        const input = document.querySelector(`#configFields [data-key="${setting.key}"]`);
+        let value;
+        if (setting.type === 'boolean') {
+            value = input.checked;
+        } else if (setting.type === 'string') {
+            value = input.value;
+        } else {
+            value = Number(input.value);
+        }
+        if (value !== setting.value) changes[setting.key] = value;
+    });
+    
+    const error = document.getElementById('configError');
+    admin.socket.emit('setConfig', { changes: changes }, (response) => {
+        error.textContent = response.ok ? '' : response.error;
+        if (response.ok) {
+            setStatus(Object.keys(changes).length > 0 ? `Changed ${Object.keys(changes).join(', ')}` : 'Nothing to change');
+            loadSettings();
+        }
+    });
+}
@@ -8,38 +8,107 @@ const game = {
     canvas: null,
     ctx: null,
     socket: null,
+    arenaCode: null,
+    botDifficulty: null, // Difficulty profile of this arena's bots
+    profileId: null, // Public id of our lifetime stats profile
     playerId: null,
     player: null,
     players: new Map(),
     pings: [],
     bullets: new Map(),
+    pickups: [], // Pickups we can see right now: { id, x, y, type, visibility }
+    pickupTypes: {}, // Pickup types from the server
+    effects: {}, // Our active pickup effects: type id -> when it wears off (local time)
     camera: { x: 0, y: 0 },
+    zoom: 1, // Canvas scale (below 1 when spectators zoom out)
+    spectating: false, // Watching the arena instead of playing
+    spectator: { mode: 'follow', targetId: null, overview: false }, // Spectator camera: follow a player or pan freely
     worldWidth: 2000,
     worldHeight: 2000,
+    walls: [], // Map walls; each remembers when a ping last revealed it
+    playerRadius: 12,
     keys: {},
+    input: { up: false, down: false, left: false, right: false },
+    inputSeq: 0,
+    pendingInputs: [], // Inputs the server may not have caught up with: { seq, input, time }
+    snapshotStates: new Map(), // Decoded entity states per snapshot seq, baselines for the next deltas
+    playerSpeed: 180, // pixels per second
     mousePos: { x: 0, y: 0 },
     isAlive: true,
     startTime: Date.now(),
     score: 0,
     health: 100,
     maxHealth: 100,
-    pingCooldown: 0,
-    maxPingCooldown: 1000,
-    shootCooldown: 0,
-    maxShootCooldown: 200,
+    sonarTypes: {}, // Sonar modes from the server
+    sonarCooldowns: {}, // Remaining cooldown per sonar type (ms)
+    charging: null, // Sonar being charged: { type, startedAt, chargeTime }
+    weapons: {}, // Weapons from the server
+    weapon: 'pistol', // Weapon in hand
+    ammo: {}, // Our ammo: weapon id -> { magazine, reserve } (a null reserve never runs out)
+    reload: null, // Reload in progress: { weapon, endsAt, duration }
+    firing: false, // Mouse button held down: keep firing at the weapon's rate
+    shootCooldown: 0, // ms until the weapon in hand can fire again
+    mines: new Map(), // Mines we know about (ours and our team's; spectators see all)
+    serverTimeOffset: null, // Estimated server clock minus ours (includes the network delay)
+    snapshotInterval: 100, // ms between server updates
     particles: [],
     trails: new Map(),
     leaderboard: [],
-    // Track last time the local player shot (ms)
-    lastShotAt: 0
+    teams: [], // Teams in this arena (empty in free-for-all)
+    teamScores: [],
+    kickedMessage: null, // Why an admin removed us, shown once we're disconnected
+    chatChannel: 'all', // Channel our chat messages go to: 'all' or 'team' (team mode only)
+    mutedPlayers: new Set(), // Player ids whose chat messages we hide
+    announcementTimer: null,
+    // Corner radar: recent ping origins and where sonar last showed each enemy
+    radar: { canvas: null, visible: true, size: 200, pings: [], contacts: new Map() },
+    // Current round; remaining is counted down locally from receivedAt
+    round: { number: 1, phase: 'warmup', remaining: 0, receivedAt: 0 }
 };
 
-// Visibility/combat reveal settings
-const COMBAT_REVEAL_RANGE = 350; // px
-const REVEAL_WHILE_SHOOTING_MS = 900; // ms
+// Movement correction settings
+const POSITION_SNAP_DISTANCE = 100; // px of disagreement before we jump to the server position
+const POSITION_CORRECTION_RATE = 0.3; // Share of the error removed per server update
+const PREDICTION_STEP = 1000 / 60; // ms per step when replaying inputs the server hasn't caught up with
 
-// Initialize game when DOM is ready
-document.addEventListener('DOMContentLoaded', initGame);
+// Other players are drawn this far in the past so there are always two snapshots to blend
+const INTERPOLATION_DELAY = 100; // ms
+const SNAPSHOT_BUFFER_TIME = 1000; // ms of snapshots kept per player
+
+// Spectator camera settings
+const SPECTATOR_PAN_SPEED = 900; // px per second for the free camera
+
+// Keys for each sonar type
+const SONAR_KEYS = { Space: 'pulse', KeyQ: 'cone', KeyE: 'deep', KeyF: 'whisper' };
+const SONAR_KEY_LABELS = { pulse: 'SPACE', cone: 'Q', deep: 'E', whisper: 'F' };
+
+// Chat settings
+const MAX_CHAT_MESSAGES = 50; // Older messages scroll away
+
+// Server announcements stay on screen this long
+const ANNOUNCEMENT_DURATION = 8000; // ms
+
+// Wall reveal settings
+const WALL_REVEAL_TIME = 3000; // ms a wall stays lit after a ping wave touches it
+const WALL_PROXIMITY_RANGE = 40; // px, walls this close are faintly visible without a ping
+
+// Pickups
+const PICKUP_ICONS = { health: '+', sonarBoost: 'R', quickPing: 'C', silence: 'S', ammo: 'A' };
+
+// Mine explosions
+const EXPLOSION_PARTICLES = 40;
+
+// Radar
+const RADAR_SIZES = [150, 200, 300]; // px, cycled with N
+const RADAR_PING_TIME = 5000; // ms a ping origin stays on the radar
+const RADAR_CONTACT_TIME = 10000; // ms until a last-known enemy position has faded out
+const RADAR_SWEEP_PERIOD = 3000; // ms per sweep turn
+const RADAR_STORAGE_KEY = 'echoRadar';
+
+// Initialize game when DOM is ready (pages that only borrow the renderer, like the replay viewer, opt out)
+if (!window.ECHO_NO_AUTOSTART) {
+    document.addEventListener('DOMContentLoaded', initGame);
+}
 
 /**
  * Initialize the game
@@ -55,6 +124,7 @@ function initGame() {
     
     // Setup event listeners
     setupEventListeners();
+    setupRadar();
     
     // Connect to server
     connectToServer();
@@ -77,11 +147,28 @@ function resizeCanvas() {
 function setupEventListeners() {
     // Keyboard controls
     document.addEventListener('keydown', (e) => {
+        // Enter opens the chat box (while it has focus, keys stay in it)
+        if (e.code === 'Enter' && canOpenChat()) {
+            openChat();
+            e.preventDefault();
+            return;
+        }
+        
         game.keys[e.code] = true;
         
-        // Emit ping on spacebar
-        if (e.code === 'Space' && game.isAlive && game.pingCooldown <= 0) {
-            emitPing();
+        if (handleRadarKey(e)) return;
+        
+        if (game.spectating) {
+            handleSpectatorKey(e);
+            return;
+        }
+        
+        if (handleWeaponKey(e)) return;
+        
+        // Emit the sonar type bound to this key
+        const sonarType = SONAR_KEYS[e.code];
+        if (sonarType && game.isAlive) {
+            emitPing(sonarType);
             e.preventDefault();
         }
     });
@@ -90,29 +177,53 @@ function setupEventListeners() {
         game.keys[e.code] = false;
     });
     
+    // Release all keys when the window loses focus so we don't keep walking (or firing)
+    window.addEventListener('blur', () => {
+        game.keys = {};
+        game.firing = false;
+    });
+    
     // Mouse tracking
     game.canvas.addEventListener('mousemove', (e) => {
         game.mousePos.x = e.clientX;
         game.mousePos.y = e.clientY;
+        
+        // Spectators drag the view around
+        if (game.spectating && e.buttons === 1 && !game.spectator.overview) {
+            game.spectator.mode = 'free';
+            game.camera.x -= e.movementX / game.zoom;
+            game.camera.y -= e.movementY / game.zoom;
+            updateSpectatorBar();
+        }
     });
     
-    // Mouse click for shooting
-    game.canvas.addEventListener('click', (e) => {
-        if (game.isAlive && game.shootCooldown <= 0) {
-            shoot(e.clientX, e.clientY);
-        }
+    // Hold the mouse button to shoot
+    game.canvas.addEventListener('mousedown', (e) => {
+        if (e.button !== 0 || game.spectating) return;
+        game.firing = true;
+        shoot();
+    });
+    
+    document.addEventListener('mouseup', (e) => {
+        if (e.button === 0) game.firing = false;
     });
     
     // Menu buttons
     document.getElementById('playBtn').addEventListener('click', startGame);
+    document.getElementById('spectateBtn').addEventListener('click', startSpectating);
+    document.getElementById('spectatorPlayBtn').addEventListener('click', startGame);
     document.getElementById('respawnBtn').addEventListener('click', respawn);
     document.getElementById('menuBtn').addEventListener('click', showMainMenu);
     
-    // Player name input
-    document.getElementById('playerName').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            startGame();
-        }
+    setupChat();
+    
+    // Player name and room code inputs
+    ['playerName', 'arenaCode'].forEach(inputId => {
+        document.getElementById(inputId).addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                startGame();
+            }
+        });
     });
 }
 
@@ -120,7 +231,14 @@ function setupEventListeners() {
  * Connect to Socket.io server
  */
 function connectToServer() {
-    game.socket = io();
+    // Join the room from the page link (?arena=CODE&bots=hard), if any
+    const params = new URLSearchParams(window.location.search);
+    const arena = params.get('arena');
+    const bots = params.get('bots');
+    const query = { token: getGuestToken() };
+    if (arena) query.arena = arena;
+    if (bots) query.bots = bots;
+    game.socket = io({ query: query });
     
     // Connection events
     game.socket.on('connect', () => {
@@ -130,19 +248,109 @@ function connectToServer() {
     
     game.socket.on('disconnect', () => {
         console.log('Disconnected from server');
-        showConnectionStatus('Disconnected from server');
+        showConnectionStatus(game.kickedMessage || 'Disconnected from server');
+    });
+    
+    // Banned addresses are turned away before connecting
+    game.socket.on('connect_error', (error) => {
+        if (error.message === 'banned') {
+            showConnectionStatus('You are banned from this server');
+        }
     });
     
-    // Game setup
+    // An admin removed us from the server (the disconnect follows)
+    game.socket.on('kicked', (data) => {
+        const action = data.banned ? 'banned' : 'kicked';
+        game.kickedMessage = data.reason ? `You were ${action}: ${data.reason}` : `You were ${action} from the server`;
+    });
+    
+    // The server measures our round-trip time
+    game.socket.on('latencyCheck', (callback) => {
+        callback();
+    });
+    
+    // Chat from players in this arena (or just our team)
+    game.socket.on('chatMessage', (chat) => {
+        addChatMessage(chat);
+    });
+    
+    // The server turned our message away
+    game.socket.on('chatRejected', (data) => {
+        addChatNotice(`${data.reason}, try again in ${Math.ceil(data.retryIn / 1000)}s`);
+    });
+    
+    // Message from the server admins to everyone
+    game.socket.on('announcement', (data) => {
+        showAnnouncement(data.message);
+        addEventLog(`📣 ${data.message}`, 'join');
+    });
+    
+    // Lifetime stats for our guest profile
+    game.socket.on('profile', (profile) => {
+        game.profileId = profile ? profile.id : null;
+        renderProfile(profile);
+        
+        // Returning players keep their name
+        const nameInput = document.getElementById('playerName');
+        if (profile && profile.name !== 'Anonymous' && !nameInput.value) {
+            nameInput.value = profile.name;
+        }
+    });
+    
+    // Game setup (sent again whenever we move to another arena)
     game.socket.on('gameSetup', (data) => {
+        // Forget everything from the previous arena
+        game.players.clear();
+        game.bullets.clear();
+        game.trails.clear();
+        game.snapshotStates.clear();
+        game.pings = [];
+        game.particles = [];
+        game.radar.pings = [];
+        game.radar.contacts.clear();
+        game.pickups = [];
+        game.effects = {};
+        game.pickupTypes = data.pickupTypes || {};
+        (data.bullets || []).forEach(addBullet);
+        game.mines.clear();
+        (data.mines || []).forEach(mine => game.mines.set(mine.id, mine));
+        game.weapons = data.weapons || {};
+        game.firing = false;
+        game.shootCooldown = 0;
+        buildWeaponPanel();
+        if (data.weaponState) {
+            applyWeaponState(data.weaponState);
+        }
+        
+        // Switching between spectating and playing keeps the same chat
+        const newArena = data.arenaCode !== game.arenaCode;
+        game.arenaCode = data.arenaCode;
+        game.botDifficulty = data.botDifficulty;
+        game.snapshotInterval = data.snapshotInterval || 100;
+        game.pendingInputs = [];
         game.playerId = data.playerId;
+        game.teams = data.teams || [];
         game.player = data.player;
+        game.spectating = data.spectator;
+        game.zoom = 1;
         game.worldWidth = data.gameConfig.worldWidth;
         game.worldHeight = data.gameConfig.worldHeight;
-        game.maxPingCooldown = data.gameConfig.pingCooldown;
-        game.maxShootCooldown = data.gameConfig.shootCooldown || 200;
-        game.health = data.player.health;
-        game.maxHealth = data.player.maxHealth;
+        game.sonarTypes = data.sonarTypes;
+        game.sonarCooldowns = {};
+        game.charging = null;
+        buildSonarPanel();
+        game.playerSpeed = data.gameConfig.playerSpeed;
+        game.playerRadius = data.gameConfig.playerRadius;
+        game.walls = data.map.walls.map(wall => ({ ...wall, revealedAt: 0 }));
+        setRoundState(data.round);
+        document.getElementById('chatInput').maxLength = data.gameConfig.chatMaxLength;
+        if (newArena) {
+            resetChat();
+        }
+        if (data.player) {
+            game.health = data.player.health;
+            game.maxHealth = data.player.maxHealth;
+        }
         
         // Add existing players
         data.existingPlayers.forEach(player => {
@@ -155,6 +363,48 @@ function connectToServer() {
         updatePlayerInfo();
         updatePlayersCount();
         updateHealthBar();
+        updateArenaCode();
+        updateSpectatorBar();
+    });
+    
+    // This arena's bots were switched to another difficulty
+    game.socket.on('botDifficulty', (difficulty) => {
+        game.botDifficulty = difficulty;
+        updateArenaCode();
+    });
+    
+    // The server's settings were changed while we were playing
+    game.socket.on('configUpdated', (data) => {
+        game.sonarTypes = data.sonarTypes;
+        buildSonarPanel();
+        game.weapons = data.weapons;
+        buildWeaponPanel();
+        game.playerSpeed = data.gameConfig.playerSpeed;
+        document.getElementById('chatInput').maxLength = data.gameConfig.chatMaxLength;
+        addEventLog('Server settings updated', 'join');
+    });
+    
+    // Round moved to a new phase
+    game.socket.on('roundPhase', (round) => {
+        setRoundState(round);
+        
+        if (round.phase === 'warmup') {
+            hideRoundResults();
+            addEventLog(`Round ${round.number} warmup`, 'join');
+        } else if (round.phase === 'active') {
+            addEventLog(`Round ${round.number} started!`, 'elimination');
+        }
+    });
+    
+    // Round finished: show the podium
+    game.socket.on('roundEnded', (data) => {
+        game.mines.clear();
+        showRoundResults(data);
+    });
+    
+    // Couldn't join the requested arena
+    game.socket.on('arenaError', (data) => {
+        addEventLog(data.message, 'leave');
     });
     
     // Player joined
@@ -171,28 +421,12 @@ function connectToServer() {
         const wasBot = player && player.isBot;
         game.players.delete(data.id);
         game.trails.delete(data.id);
+        game.radar.contacts.delete(data.id);
         const message = wasBot ? `Bot left` : `Player left (Score: ${data.finalScore}s)`;
         addEventLog(message, 'leave');
         updatePlayersCount();
     });
     
-    // Player movement
-    game.socket.on('playerMoved', (data) => {
-        const player = game.players.get(data.id);
-        if (player) {
-            // Store previous position for trail
-            if (!game.trails.has(data.id)) {
-                game.trails.set(data.id, []);
-            }
-            const trail = game.trails.get(data.id);
-            trail.push({ x: player.x, y: player.y, alpha: 0.5 });
-            if (trail.length > 20) trail.shift();
-            
-            player.x = data.x;
-            player.y = data.y;
-        }
-    });
-    
     // Ping emitted
     game.socket.on('pingEmitted', (pingData) => {
         // Add ping to render queue
@@ -203,10 +437,17 @@ function connectToServer() {
             startTime: Date.now()
         };
         game.pings.push(ping);
+        game.radar.pings.push({ x: pingData.x, y: pingData.y, color: pingData.color, time: ping.startTime });
+        
+        // Our charged sonar has gone off
+        if (pingData.playerId === game.playerId && game.charging && game.charging.type === pingData.type) {
+            game.charging = null;
+        }
         
         // Add visual feedback
         if (pingData.playerId !== game.playerId) {
-            addEventLog(`Player used sonar!`, 'ping');
+            const sonarType = game.sonarTypes[pingData.type];
+            addEventLog(`${sonarType ? sonarType.name : 'Sonar'} detected!`, 'ping');
             
             // Create particles at ping origin
             createPingParticles(pingData.x, pingData.y, pingData.color);
@@ -214,15 +455,31 @@ function connectToServer() {
     });
     
     // Bullet fired
-    game.socket.on('bulletFired', (bullet) => {
-        game.bullets.set(bullet.id, bullet);
-    });
+    game.socket.on('bulletFired', addBullet);
     
     // Bullet removed
     game.socket.on('bulletRemoved', (bulletId) => {
         game.bullets.delete(bulletId);
     });
     
+    // Our weapon in hand, ammo or reload changed
+    game.socket.on('weaponState', applyWeaponState);
+    
+    // We or a teammate placed a mine, or one fizzled out
+    game.socket.on('minePlaced', (mine) => {
+        game.mines.set(mine.id, mine);
+    });
+    
+    game.socket.on('mineRemoved', (mineId) => {
+        game.mines.delete(mineId);
+    });
+    
+    // A mine went off nearby (or one of ours went off anywhere)
+    game.socket.on('mineExploded', (data) => {
+        game.mines.delete(data.id);
+        createExplosionEffect(data.x, data.y, data.radius);
+    });
+    
     // Player hit
     game.socket.on('playerHit', (data) => {
         if (data.playerId === game.playerId) {
@@ -235,7 +492,10 @@ function connectToServer() {
             const player = game.players.get(data.playerId);
             if (player) {
                 player.health = data.health;
-                createHitEffect(player.x, player.y);
+                // Only show the effect where we can actually see the target
+                if (isPlayerVisible(player) > 0) {
+                    createHitEffect(player.x, player.y);
+                }
             }
         }
     });
@@ -244,6 +504,10 @@ function connectToServer() {
     game.socket.on('playerDied', (data) => {
         if (data.id === game.playerId) {
             game.isAlive = false;
+            game.charging = null;
+            game.effects = {};
+            game.reload = null;
+            game.firing = false;
             showDeathScreen(data);
         }
         const player = game.players.get(data.id);
@@ -251,6 +515,7 @@ function connectToServer() {
             player.alive = false;
             player.health = 0;
         }
+        game.radar.contacts.delete(data.id);
         addEventLog(`${data.eliminatorName} eliminated ${player?.name || 'a player'}!`, 'elimination');
     });
     
@@ -262,59 +527,79 @@ function connectToServer() {
             game.player.x = data.x;
             game.player.y = data.y;
             game.player.health = data.health;
+            game.pendingInputs = [];
             updateHealthBar();
             
             // Hide death screen
             document.getElementById('deathScreen').classList.remove('active');
             document.getElementById('gameUI').classList.remove('hidden');
         } else {
+            // Other players' spawn points stay hidden until detected
             const player = game.players.get(data.id);
             if (player) {
-                player.x = data.x;
-                player.y = data.y;
                 player.health = data.health;
                 player.alive = true;
+                player.visibility = 0;
+                player.snapshots = []; // Don't slide from where they died
             }
         }
     });
     
-    // Game state update
-    game.socket.on('gameState', (data) => {
+    // Game state update (a delta against a snapshot we acknowledged earlier)
+    game.socket.on('snapshot', (data) => {
+        const states = decodeSnapshot(data);
+        if (!states) return;
+        game.socket.emit('snapshotAck', data.seq);
+        updateServerClock(data.time);
+        
         // Update scores and health
-        if (game.player) {
-            const player = data.players.find(p => p.id === game.playerId);
-            if (player) {
-                game.score = player.score;
-                game.health = player.health;
-                game.player.health = player.health;
-                updateScore();
-                updateHealthBar();
-            }
+        if (game.player && data.self) {
+            const [x, y, health, alive, score, lastInputSeq, inputAge] = data.self;
+            game.score = score;
+            game.health = health;
+            game.player.health = health;
+            reconcilePosition({ x: x, y: y, alive: !!alive, lastInputSeq: lastInputSeq, inputAge: inputAge });
+            updateScore();
+            updateHealthBar();
         }
         
-        // Update other players' health
-        data.players.forEach(player => {
-            if (player.id !== game.playerId) {
-                const existingPlayer = game.players.get(player.id);
-                if (existingPlayer) {
-                    existingPlayer.health = player.health;
-                    existingPlayer.alive = player.alive;
-                }
+        // The server only sends players we have detected; everyone else is hidden
+        game.players.forEach((existingPlayer, id) => {
+            const state = states.get(existingPlayer.netId);
+            if (!state) {
+                existingPlayer.visibility = 0;
+                return;
+            }
+            
+            const [, x, y, health, alive, visibility] = state;
+            if (existingPlayer.x !== undefined && existingPlayer.visibility > 0) {
+                addTrailPoint(id, existingPlayer);
+            }
+            addSnapshot(existingPlayer, data.time, x, y);
+            existingPlayer.health = health;
+            existingPlayer.alive = !!alive;
+            existingPlayer.visibility = visibility / 100;
+            
+            // Enemies sonar shows us stay on the radar where they were last seen
+            if (existingPlayer.alive && existingPlayer.visibility > 0 && id !== game.playerId && !isTeammate(existingPlayer)) {
+                game.radar.contacts.set(id, { x: x, y: y, seenAt: Date.now() });
             }
         });
         
-        // Update bullets
-        if (data.bullets) {
-            // Clear and update bullets
-            game.bullets.clear();
-            data.bullets.forEach(bullet => {
-                game.bullets.set(bullet.id, bullet);
-            });
+        // Pickups are sent whole: whatever isn't in this snapshot can't be seen any more
+        game.pickups = (data.pickups || []).map(([id, x, y, type, visibility]) => ({
+            id: id, x: x, y: y, type: type, visibility: visibility / 100
+        }));
+        
+        // Keep the round timer in sync
+        if (data.round) {
+            setRoundState(data.round);
         }
         
         // Update leaderboard
         if (data.leaderboard) {
             game.leaderboard = data.leaderboard;
+            game.teamScores = data.teamScores || [];
             updateLeaderboard();
         }
     });
@@ -322,6 +607,25 @@ function connectToServer() {
     // Ping cooldown
     game.socket.on('pingCooldown', (data) => {
         console.log(`Ping on cooldown: ${data.remaining}ms remaining`);
+        game.sonarCooldowns[data.type] = data.remaining;
+    });
+    
+    // We (or, for spectators, someone) picked something up
+    game.socket.on('pickupCollected', (data) => {
+        game.pickups = game.pickups.filter(pickup => pickup.id !== data.id);
+        const pickupType = game.pickupTypes[data.type];
+        if (data.playerId !== game.playerId || !pickupType) return;
+        
+        if (data.duration > 0) {
+            game.effects[data.type] = Date.now() + data.duration;
+        }
+        createPingParticles(data.x, data.y, pickupType.color);
+        addEventLog(data.duration > 0 ? `${pickupType.name} (${Math.round(data.duration / 1000)}s)` : pickupType.name, 'pickup');
+    });
+    
+    // Charged sonar started charging
+    game.socket.on('sonarCharging', (data) => {
+        game.charging = { type: data.type, startedAt: Date.now(), chargeTime: data.chargeTime };
     });
     
     // Player name updated
@@ -342,59 +646,310 @@ function connectToServer() {
  */
 function startGame() {
     const playerName = document.getElementById('playerName').value || 'Anonymous';
+    const arenaCode = document.getElementById('arenaCode').value.trim().toUpperCase();
     
     // Hide menu
     document.getElementById('mainMenu').classList.remove('active');
     document.getElementById('gameUI').classList.remove('hidden');
+    document.getElementById('arenaCode').value = '';
     
     // Reset game state
     game.isAlive = true;
     game.startTime = Date.now();
     game.score = 0;
-    game.pingCooldown = 0;
+    game.sonarCooldowns = {};
     
     // Request to join game
     if (game.socket && game.socket.connected) {
-        // Send player name to server
+        // Switch rooms first if a different code was entered
+        if (arenaCode && arenaCode !== game.arenaCode) {
+            game.socket.emit('joinArena', arenaCode, getChosenBotDifficulty());
+        }
+        
+        // Stop spectating and spawn, then send player name to server
+        game.socket.emit('joinGame');
         game.socket.emit('setPlayerName', playerName);
         
         // Update player info locally
         if (game.player) {
             game.player.name = playerName;
         }
-        
-        // Player is already connected, just show the game
         updatePlayerInfo();
     }
 }
 
 /**
- * Emit a sonar ping
+ * Watch the arena (from the room code box, if filled in) without playing
+ */
+function startSpectating() {
+    const arenaCode = document.getElementById('arenaCode').value.trim().toUpperCase();
+    
+    document.getElementById('mainMenu').classList.remove('active');
+    document.getElementById('gameUI').classList.remove('hidden');
+    document.getElementById('arenaCode').value = '';
+    
+    if (game.socket && game.socket.connected) {
+        if (arenaCode && arenaCode !== game.arenaCode) {
+            game.socket.emit('joinArena', arenaCode, getChosenBotDifficulty());
+        }
+        game.socket.emit('spectate');
+    }
+}
+
+/**
+ * Spectator controls: TAB cycles players, F toggles the free camera, Z zooms out to the whole world
+ */
+function handleSpectatorKey(e) {
+    if (document.getElementById('mainMenu').classList.contains('active')) return;
+    
+    if (e.code === 'Tab') {
+        cycleSpectatorTarget(e.shiftKey ? -1 : 1);
+        e.preventDefault();
+    } else if (e.code === 'KeyF') {
+        game.spectator.mode = game.spectator.mode === 'free' ? 'follow' : 'free';
+        game.spectator.overview = false;
+    } else if (e.code === 'KeyZ') {
+        game.spectator.overview = !game.spectator.overview;
+    }
+    updateSpectatorBar();
+}
+
+/**
+ * Players a spectator can follow (alive, with a known position)
+ */
+function getSpectatorTargets() {
+    return [...game.players.values()].filter(player => player.alive && player.x !== undefined);
+}
+
+function cycleSpectatorTarget(direction) {
+    const targets = getSpectatorTargets();
+    if (targets.length === 0) return;
+    
+    const current = targets.findIndex(player => player.id === game.spectator.targetId);
+    const next = current === -1 ? 0 : (current + direction + targets.length) % targets.length;
+    game.spectator.targetId = targets[next].id;
+    game.spectator.mode = 'follow';
+    game.spectator.overview = false;
+}
+
+/**
+ * Move the spectator camera: follow a player, pan freely, or fit the whole world on screen
+ */
+function updateSpectatorCamera(deltaTime) {
+    const spectator = game.spectator;
+    
+    if (spectator.overview) {
+        game.zoom = Math.min(game.canvas.width / game.worldWidth, game.canvas.height / game.worldHeight);
+        game.camera.x = -(game.canvas.width / game.zoom - game.worldWidth) / 2;
+        game.camera.y = -(game.canvas.height / game.zoom - game.worldHeight) / 2;
+        return;
+    }
+    game.zoom = 1;
+    
+    if (spectator.mode === 'follow') {
+        // Pick someone else when the followed player dies or leaves
+        let target = game.players.get(spectator.targetId);
+        if (!target || !target.alive || target.x === undefined) {
+            cycleSpectatorTarget(1);
+            target = game.players.get(spectator.targetId);
+            updateSpectatorBar();
+        }
+        if (target && target.x !== undefined) {
+            game.camera.x = target.x - game.canvas.width / 2;
+            game.camera.y = target.y - game.canvas.height / 2;
+        }
+        return;
+    }
+    
+    // Free camera pans with WASD / arrow keys
+    const dx = (game.keys['KeyD'] || game.keys['ArrowRight'] ? 1 : 0) - (game.keys['KeyA'] || game.keys['ArrowLeft'] ? 1 : 0);
+    const dy = (game.keys['KeyS'] || game.keys['ArrowDown'] ? 1 : 0) - (game.keys['KeyW'] || game.keys['ArrowUp'] ? 1 : 0);
+    const distance = SPECTATOR_PAN_SPEED * Math.min(deltaTime, 100) / 1000;
+    game.camera.x += dx * distance;
+    game.camera.y += dy * distance;
+    
+    // Keep some of the world on screen
+    game.camera.x = Math.max(-game.canvas.width / 2, Math.min(game.worldWidth - game.canvas.width / 2, game.camera.x));
+    game.camera.y = Math.max(-game.canvas.height / 2, Math.min(game.worldHeight - game.canvas.height / 2, game.camera.y));
+}
+
+/**
+ * Emit a sonar ping of the given type, aimed at the mouse (only cones care)
+ */
+function emitPing(type) {
+    const sonarType = game.sonarTypes[type];
+    if (!sonarType || !game.player || !game.socket) return;
+    if ((game.sonarCooldowns[type] || 0) > 0 || game.charging) return;
+    
+    game.socket.emit('emitPing', { type: type, angle: getAimAngle() });
+    game.sonarCooldowns[type] = getSonarCooldown(sonarType);
+}
+
+/**
+ * A sonar type's cooldown for us right now (shorter while a ping capacitor is active)
+ */
+function getSonarCooldown(sonarType) {
+    const quickPing = game.pickupTypes.quickPing;
+    return quickPing && hasEffect('quickPing') ? sonarType.cooldown * quickPing.cooldownMultiplier : sonarType.cooldown;
+}
+
+function hasEffect(typeId) {
+    return (game.effects[typeId] || 0) > Date.now();
+}
+
+/**
+ * Angle from our player to the mouse cursor in world space
+ */
+function getAimAngle() {
+    const worldMouseX = game.mousePos.x + game.camera.x;
+    const worldMouseY = game.mousePos.y + game.camera.y;
+    return Math.atan2(worldMouseY - game.player.y, worldMouseX - game.player.x);
+}
+
+/**
+ * Fire the weapon in hand at the cursor (called every frame while the button is held)
+ */
+function shoot() {
+    const weapon = game.weapons[game.weapon];
+    const ammo = game.ammo[game.weapon];
+    if (!game.player || !game.isAlive || !weapon || !ammo || game.reload || game.shootCooldown > 0) return;
+    if (!game.socket) return;
+    
+    game.shootCooldown = weapon.fireInterval;
+    if (ammo.magazine <= 0) {
+        reloadWeapon();
+        return;
+    }
+    
+    // Tell the server what we were looking at so it can rewind hits to match
+    game.socket.emit('shoot', { angle: getAimAngle(), viewTime: getRenderTime() });
+    ammo.magazine--;
+    updateWeaponPanel();
+}
+
+/**
+ * Number keys take a weapon by its slot, R reloads. Returns whether the key was one of those.
+ */
+function handleWeaponKey(e) {
+    if (e.code === 'KeyR') {
+        reloadWeapon();
+        return true;
+    }
+    
+    const slot = /^Digit(\d)$/.exec(e.code);
+    const weapon = slot && Object.values(game.weapons).find(candidate => candidate.slot === Number(slot[1]));
+    if (!weapon) return false;
+    
+    switchWeapon(weapon.id);
+    return true;
+}
+
+function switchWeapon(weaponId) {
+    if (!game.isAlive || weaponId === game.weapon || !game.socket) return;
+    
+    // Switch straight away; the server confirms with our weapon state
+    game.socket.emit('switchWeapon', weaponId);
+    game.weapon = weaponId;
+    game.reload = null;
+    updateWeaponPanel();
+}
+
+function reloadWeapon() {
+    if (game.isAlive && !game.reload && game.socket) {
+        game.socket.emit('reload');
+    }
+}
+
+/**
+ * Take over the weapon state the server sent (reloads arrive as the milliseconds they have left)
+ */
+function applyWeaponState(state) {
+    game.weapon = state.weapon;
+    game.ammo = state.ammo;
+    
+    const reloading = state.reload && game.weapons[state.reload.weapon];
+    game.reload = reloading ? {
+        weapon: reloading.id,
+        endsAt: Date.now() + state.reload.remaining,
+        duration: reloading.reloadTime
+    } : null;
+    updateWeaponPanel();
+}
+
+/**
+ * Correct our predicted position against the server's authoritative one
+ */
+function reconcilePosition(serverState) {
+    // Forget inputs the server has already moved on from
+    game.pendingInputs = game.pendingInputs.filter(entry => entry.seq >= serverState.lastInputSeq);
+    
+    // Replay what we've done since then on top of the server's position
+    let target = { x: serverState.x, y: serverState.y };
+    const acknowledged = game.pendingInputs[0];
+    const known = acknowledged && acknowledged.seq === serverState.lastInputSeq;
+    if (known) {
+        const now = Date.now();
+        game.pendingInputs.forEach((entry, i) => {
+            const next = game.pendingInputs[i + 1];
+            const start = i === 0 ? entry.time + serverState.inputAge : entry.time;
+            const end = next ? next.time : now;
+            target = predictMovement(target.x, target.y, entry.input, end - start);
+        });
+    }
+    
+    const dx = target.x - game.player.x;
+    const dy = target.y - game.player.y;
+    const error = Math.sqrt(dx * dx + dy * dy);
+    
+    // Way off (respawn, blocked, rejected input): jump straight there
+    if (error > POSITION_SNAP_DISTANCE) {
+        game.player.x = target.x;
+        game.player.y = target.y;
+        return;
+    }
+    
+    // Otherwise ease towards it so small corrections don't show
+    if (known) {
+        game.player.x += dx * POSITION_CORRECTION_RATE;
+        game.player.y += dy * POSITION_CORRECTION_RATE;
+    }
+}
+
+/**
+ * Where an input moves us from (x, y) over a duration, with the server's wall sliding
  */
-function emitPing() {
-    if (game.pingCooldown <= 0 && game.socket) {
-        game.socket.emit('emitPing');
-        game.pingCooldown = game.maxPingCooldown;
+function predictMovement(x, y, input, duration) {
+    const dx = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+    const dy = (input.down ? 1 : 0) - (input.up ? 1 : 0);
+    let position = { x: x, y: y };
+    if ((dx === 0 && dy === 0) || duration <= 0) return position;
+    
+    // Normalize diagonal movement and move in small steps so walls are never skipped
+    const length = Math.sqrt(dx * dx + dy * dy);
+    for (let elapsed = 0; elapsed < duration; elapsed += PREDICTION_STEP) {
+        const distance = game.playerSpeed * Math.min(PREDICTION_STEP, duration - elapsed) / 1000;
+        position = Geometry.moveWithCollisions(
+            game.walls, position.x, position.y, (dx / length) * distance, (dy / length) * distance,
+            game.playerRadius, game.worldWidth, game.worldHeight
+        );
     }
+    return position;
 }
 
 /**
- * Shoot a bullet
+ * Send our input state to the server whenever it changes
  */
-function shoot(mouseX, mouseY) {
-    if (!game.player || !game.isAlive || game.shootCooldown > 0) return;
+function sendInput(input) {
+    const changed = input.up !== game.input.up || input.down !== game.input.down ||
+                    input.left !== game.input.left || input.right !== game.input.right;
+    if (!changed) return;
     
-    // Calculate angle from player to mouse
-    const worldMouseX = mouseX + game.camera.x;
-    const worldMouseY = mouseY + game.camera.y;
-    const angle = Math.atan2(worldMouseY - game.player.y, worldMouseX - game.player.x);
+    game.input = input;
+    game.inputSeq++;
+    game.pendingInputs.push({ seq: game.inputSeq, input: input, time: Date.now() });
     
-    // Send shoot event to server
     if (game.socket) {
-        game.socket.emit('shoot', { angle: angle });
-        game.shootCooldown = game.maxShootCooldown;
-        // Mark ourselves as recently shooting for visibility rules
-        game.lastShotAt = Date.now();
+        game.socket.emit('playerInput', { seq: game.inputSeq, ...input });
     }
 }
 
@@ -408,6 +963,7 @@ function gameLoop(timestamp) {
     
     // Update game state
     update(deltaTime);
+    updateRoundTimer();
     
     // Render everything
     render();
@@ -420,57 +976,165 @@ function gameLoop(timestamp) {
  * Update game state
  */
 function update(deltaTime) {
-    if (!game.player || !game.isAlive) return;
+    interpolateEntities();
     
-    // Update player movement
-    let dx = 0, dy = 0;
-    const speed = 5;
+    if (game.spectating) {
+        updateSpectatorCamera(deltaTime);
+        updateEffects();
+        return;
+    }
     
-    if (game.keys['KeyW'] || game.keys['ArrowUp']) dy -= speed;
-    if (game.keys['KeyS'] || game.keys['ArrowDown']) dy += speed;
-    if (game.keys['KeyA'] || game.keys['ArrowLeft']) dx -= speed;
-    if (game.keys['KeyD'] || game.keys['ArrowRight']) dx += speed;
+    if (!game.player || !game.isAlive) return;
     
-    // Normalize diagonal movement
-    if (dx !== 0 && dy !== 0) {
-        const factor = 1 / Math.sqrt(2);
-        dx *= factor;
-        dy *= factor;
-    }
+    // Read input and send it to the server, which simulates the real movement
+    const input = {
+        up: !!(game.keys['KeyW'] || game.keys['ArrowUp']),
+        down: !!(game.keys['KeyS'] || game.keys['ArrowDown']),
+        left: !!(game.keys['KeyA'] || game.keys['ArrowLeft']),
+        right: !!(game.keys['KeyD'] || game.keys['ArrowRight'])
+    };
+    sendInput(input);
     
-    // Update player position
-    if (dx !== 0 || dy !== 0) {
-        game.player.x = Math.max(0, Math.min(game.worldWidth, game.player.x + dx));
-        game.player.y = Math.max(0, Math.min(game.worldHeight, game.player.y + dy));
-        
-        // Send movement to server
-        if (game.socket) {
-            game.socket.emit('playerMove', {
-                x: game.player.x,
-                y: game.player.y
-            });
-        }
-    }
+    // Predict our own movement locally at the server's speed
+    const moved = predictMovement(game.player.x, game.player.y, input, Math.min(deltaTime, 100));
+    game.player.x = moved.x;
+    game.player.y = moved.y;
     
     // Update camera to follow player
     game.camera.x = game.player.x - game.canvas.width / 2;
     game.camera.y = game.player.y - game.canvas.height / 2;
     
-    // Update ping cooldown
-    if (game.pingCooldown > 0) {
-        game.pingCooldown = Math.max(0, game.pingCooldown - deltaTime);
-        updatePingCooldownBar();
-    }
+    // Update sonar cooldowns
+    Object.keys(game.sonarCooldowns).forEach(type => {
+        game.sonarCooldowns[type] = Math.max(0, game.sonarCooldowns[type] - deltaTime);
+    });
+    updateSonarPanel();
+    updateEffectsPanel();
     
-    // Update shoot cooldown
+    // Update shoot cooldown and keep firing while the button is held
     if (game.shootCooldown > 0) {
         game.shootCooldown = Math.max(0, game.shootCooldown - deltaTime);
     }
+    if (game.firing) {
+        shoot();
+    }
+    updateWeaponPanel();
     
+    updateEffects();
+}
+
+/**
+ * Rebuild the full set of entity states from a delta snapshot.
+ * Returns a Map of netId -> [netId, x, y, health, alive, visibility], or null if we lack its baseline.
+ */
+function decodeSnapshot(data) {
+    let states = new Map();
+    if (data.base) {
+        const baseline = game.snapshotStates.get(data.base);
+        if (!baseline) return null;
+        states = new Map(baseline);
+        data.hidden.forEach(netId => states.delete(netId));
+    }
+    data.entities.forEach(state => states.set(state[0], state));
+    
+    // The server never goes back past its baseline, so older snapshots can go
+    game.snapshotStates.set(data.seq, states);
+    game.snapshotStates.forEach((_, seq) => {
+        if (seq < data.base || game.snapshotStates.size > 64) game.snapshotStates.delete(seq);
+    });
+    return states;
+}
+
+/**
+ * Track a bullet from where the server says it was at the time given; it is flown on locally from then
+ */
+function addBullet(bullet) {
+    game.bullets.set(bullet.id, { ...bullet, snapshotX: bullet.x, snapshotY: bullet.y, snapshotTime: bullet.time });
+}
+
+/**
+ * Keep our estimate of the server clock in step with its snapshots
+ */
+function updateServerClock(serverTimestamp) {
+    const offset = serverTimestamp - Date.now();
+    if (game.serverTimeOffset === null || Math.abs(offset - game.serverTimeOffset) > 1000) {
+        game.serverTimeOffset = offset;
+    } else {
+        game.serverTimeOffset += (offset - game.serverTimeOffset) * 0.1;
+    }
+}
+
+/**
+ * Server time of the world as we draw it (other players lag behind by the interpolation delay)
+ */
+function getRenderTime() {
+    return Date.now() + (game.serverTimeOffset || 0) - INTERPOLATION_DELAY;
+}
+
+/**
+ * Buffer a player's position from a server snapshot
+ */
+function addSnapshot(player, time, x, y) {
+    if (!player.snapshots) player.snapshots = [];
+    const snapshots = player.snapshots;
+    
+    // Back from hiding: start over rather than sliding across the gap
+    const last = snapshots[snapshots.length - 1];
+    if (last && time - last.time > game.snapshotInterval * 3) {
+        snapshots.length = 0;
+    }
+    
+    snapshots.push({ time: time, x: x, y: y });
+    while (snapshots.length > 2 && time - snapshots[0].time > SNAPSHOT_BUFFER_TIME) {
+        snapshots.shift();
+    }
+    
+    if (player.x === undefined) {
+        player.x = x;
+        player.y = y;
+    }
+}
+
+/**
+ * Place other players between their buffered snapshots and fly bullets on from their last one
+ */
+function interpolateEntities() {
+    const renderTime = getRenderTime();
+    
+    game.players.forEach(player => {
+        const snapshots = player.snapshots;
+        if (!snapshots || snapshots.length === 0) return;
+        
+        // Find the pair of snapshots around the render time (or hold the nearest end)
+        let index = snapshots.findIndex(snapshot => snapshot.time > renderTime);
+        if (index === -1) index = snapshots.length - 1;
+        const after = snapshots[index];
+        const before = snapshots[Math.max(0, index - 1)];
+        
+        const span = after.time - before.time;
+        const t = span > 0 ? Math.max(0, Math.min(1, (renderTime - before.time) / span)) : 1;
+        player.x = before.x + (after.x - before.x) * t;
+        player.y = before.y + (after.y - before.y) * t;
+    });
+    
+    // Bullets move in a straight line, so just carry them on (velocities are per second)
+    const serverNow = renderTime + INTERPOLATION_DELAY;
+    game.bullets.forEach(bullet => {
+        if (bullet.snapshotTime === undefined) return;
+        const elapsed = Math.max(0, serverNow - bullet.snapshotTime) / 1000;
+        bullet.x = bullet.snapshotX + bullet.vx * elapsed;
+        bullet.y = bullet.snapshotY + bullet.vy * elapsed;
+    });
+}
+
+/**
+ * Advance pings, particles and trails
+ */
+function updateEffects() {
     // Update pings
     game.pings = game.pings.filter(ping => {
         const elapsed = Date.now() - ping.startTime;
-        const progress = elapsed / 2000; // 2 second duration
+        const progress = elapsed / ping.duration;
         
         if (progress >= 1) return false;
         
@@ -478,6 +1142,16 @@ function update(deltaTime) {
         ping.radius = progress * ping.maxRadius;
         ping.alpha = 1 - progress;
         
+        // Light up walls the wave has reached (inside the cone for directional pings)
+        game.walls.forEach(wall => {
+            if (Geometry.distanceToWall(ping.x, ping.y, wall) > ping.radius) return;
+            
+            const closest = Geometry.closestPointOnWall(ping.x, ping.y, wall);
+            if (Geometry.isWithinArc(ping.x, ping.y, ping.direction, ping.arc, closest.x, closest.y)) {
+                wall.revealedAt = Date.now();
+            }
+        });
+        
         return true;
     });
     
@@ -511,34 +1185,47 @@ function render() {
     ctx.fillStyle = '#000';
     ctx.fillRect(0, 0, game.canvas.width, game.canvas.height);
     
-    if (!game.player) return;
+    if (!game.player && !game.spectating) return;
     
     // Save context
     ctx.save();
     
     // Apply camera transform
+    ctx.scale(game.zoom, game.zoom);
     ctx.translate(-game.camera.x, -game.camera.y);
     
     // Draw grid (subtle)
     drawGrid();
     
+    // Draw walls revealed by sonar
+    drawWalls();
+    
     // Draw trails
     drawTrails();
     
     // Draw particles
     drawParticles();
     
+    // Draw pickups revealed by sonar
+    drawPickups();
+    
+    // Draw the mines we know about
+    drawMines();
+    
     // Draw pings
     drawPings();
     
     // Draw bullets
     drawBullets();
     
-    // Draw other players (only visible during pings)
+    // Draw other players (only visible during pings, spectators see everyone)
     drawPlayers();
     
     // Draw current player
-    drawPlayer(game.player, true);
+    if (game.player && game.isAlive) {
+        drawPlayer(game.player, true);
+        drawChargingRing();
+    }
     
     // Draw health bars
     drawHealthBars();
@@ -563,8 +1250,8 @@ function drawGrid() {
     // Calculate visible grid area
     const startX = Math.floor(game.camera.x / gridSize) * gridSize;
     const startY = Math.floor(game.camera.y / gridSize) * gridSize;
-    const endX = startX + game.canvas.width + gridSize;
-    const endY = startY + game.canvas.height + gridSize;
+    const endX = startX + game.canvas.width / game.zoom + gridSize;
+    const endY = startY + game.canvas.height / game.zoom + gridSize;
     
     // Draw vertical lines
     for (let x = startX; x <= endX; x += gridSize) {
@@ -584,20 +1271,58 @@ function drawGrid() {
 }
 
 /**
- * Draw player trails
+ * Draw map walls. They stay dark until a ping wave touches them, then fade out again.
  */
-function drawTrails() {
+function drawWalls() {
     const ctx = game.ctx;
+    const now = Date.now();
     
-    game.trails.forEach((trail, playerId) => {
-        const player = game.players.get(playerId);
-        if (!player) return;
+    game.walls.forEach(wall => {
+        let alpha = Math.max(0, 1 - (now - wall.revealedAt) / WALL_REVEAL_TIME);
         
-        trail.forEach((point, index) => {
-            ctx.fillStyle = player.color.replace(')', `, ${point.alpha})`).replace('hsl', 'hsla');
-            ctx.beginPath();
-            ctx.arc(point.x, point.y, 2, 0, Math.PI * 2);
-            ctx.fill();
+        // Faint outline when we're right up against it
+        if (game.player && Geometry.distanceToWall(game.player.x, game.player.y, wall) < WALL_PROXIMITY_RANGE) {
+            alpha = Math.max(alpha, 0.25);
+        }
+        if (alpha <= 0) return;
+        
+        ctx.beginPath();
+        wall.points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.closePath();
+        
+        ctx.fillStyle = `rgba(0, 120, 200, ${alpha * 0.2})`;
+        ctx.fill();
+        
+        ctx.strokeStyle = `rgba(0, 255, 255, ${alpha * 0.8})`;
+        ctx.lineWidth = 2;
+        ctx.shadowColor = 'rgba(0, 255, 255, 0.8)';
+        ctx.shadowBlur = 10 * alpha;
+        ctx.stroke();
+        ctx.shadowBlur = 0;
+    });
+}
+
+/**
+ * Draw player trails
+ */
+function drawTrails() {
+    const ctx = game.ctx;
+    
+    game.trails.forEach((trail, playerId) => {
+        const player = game.players.get(playerId);
+        if (!player) return;
+        
+        trail.forEach((point, index) => {
+            ctx.fillStyle = player.color.replace(')', `, ${point.alpha})`).replace('hsl', 'hsla');
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 2, 0, Math.PI * 2);
+            ctx.fill();
         });
     });
 }
@@ -623,6 +1348,10 @@ function drawPings() {
     const ctx = game.ctx;
     
     game.pings.forEach(ping => {
+        const isFullCircle = ping.arc >= Math.PI * 2;
+        const startAngle = isFullCircle ? 0 : ping.direction - ping.arc / 2;
+        const endAngle = isFullCircle ? Math.PI * 2 : ping.direction + ping.arc / 2;
+        
         // Multiple expanding rings for better effect
         for (let i = 0; i < 3; i++) {
             const ringRadius = ping.radius - i * 20;
@@ -632,7 +1361,7 @@ function drawPings() {
                 ctx.strokeStyle = `rgba(0, 255, 255, ${ringAlpha})`;
                 ctx.lineWidth = 3 - i;
                 ctx.beginPath();
-                ctx.arc(ping.x, ping.y, ringRadius, 0, Math.PI * 2);
+                ctx.arc(ping.x, ping.y, ringRadius, startAngle, endAngle);
                 ctx.stroke();
                 
                 // Add glow to rings
@@ -643,8 +1372,19 @@ function drawPings() {
             }
         }
         
+        // Edges of a directional cone
+        if (!isFullCircle) {
+            ctx.strokeStyle = `rgba(0, 255, 255, ${ping.alpha * 0.25})`;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(ping.x + Math.cos(startAngle) * ping.radius, ping.y + Math.sin(startAngle) * ping.radius);
+            ctx.lineTo(ping.x, ping.y);
+            ctx.lineTo(ping.x + Math.cos(endAngle) * ping.radius, ping.y + Math.sin(endAngle) * ping.radius);
+            ctx.stroke();
+        }
+        
         // Enhanced inner glow
-        if (ping.radius < 100) {
+        if (isFullCircle && ping.radius < 100) {
             const gradient = ctx.createRadialGradient(ping.x, ping.y, 0, ping.x, ping.y, ping.radius);
             gradient.addColorStop(0, `rgba(255, 255, 255, ${ping.alpha * 0.5})`);
             gradient.addColorStop(0.5, `rgba(0, 255, 255, ${ping.alpha * 0.3})`);
@@ -658,7 +1398,10 @@ function drawPings() {
         // Scan line effect
         ctx.save();
         ctx.translate(ping.x, ping.y);
-        const scanAngle = (Date.now() / 100) % (Math.PI * 2);
+        // Cones sweep back and forth inside their arc instead of spinning
+        const scanAngle = isFullCircle
+            ? (Date.now() / 100) % (Math.PI * 2)
+            : ping.direction + Math.sin(Date.now() / 150) * ping.arc / 2;
         ctx.rotate(scanAngle);
         
         const scanGradient = ctx.createLinearGradient(0, 0, ping.radius, 0);
@@ -677,6 +1420,22 @@ function drawPings() {
     });
 }
 
+/**
+ * Draw a filling ring around our player while a charged sonar builds up
+ */
+function drawChargingRing() {
+    if (!game.charging || !game.isAlive) return;
+    
+    const ctx = game.ctx;
+    const progress = Math.min(1, (Date.now() - game.charging.startedAt) / game.charging.chargeTime);
+    
+    ctx.strokeStyle = `rgba(255, 170, 0, ${0.4 + progress * 0.5})`;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(game.player.x, game.player.y, 22, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+    ctx.stroke();
+}
+
 /**
  * Draw all players
  */
@@ -695,9 +1454,10 @@ function drawPlayers() {
  */
 function drawPlayer(player, isSelf, visibility = 1) {
     const ctx = game.ctx;
+    const isEnemy = !isSelf && !game.spectating && !isTeammate(player);
     
     // Enhanced visibility for sonar-detected enemies
-    if (!isSelf && visibility > 0) {
+    if (isEnemy && visibility > 0) {
         // Pulsing outline effect for detected enemies
         const pulseTime = Date.now() / 200;
         const pulseFactor = 0.5 + Math.sin(pulseTime) * 0.5;
@@ -732,7 +1492,8 @@ function drawPlayer(player, isSelf, visibility = 1) {
         
         // Outer glow
         const gradient1 = ctx.createRadialGradient(player.x, player.y, 0, player.x, player.y, glowRadius);
-        if (isSelf) {
+        if (!isEnemy) {
+            // Own/team color glow for ourselves and teammates
             gradient1.addColorStop(0, player.color.replace(')', ', 0.3)').replace('hsl', 'hsla'));
             gradient1.addColorStop(1, 'rgba(0, 0, 0, 0)');
         } else {
@@ -768,7 +1529,7 @@ function drawPlayer(player, isSelf, visibility = 1) {
     ctx.stroke();
     
     // Danger icon for detected enemies
-    if (!isSelf && visibility > 0.5) {
+    if (isEnemy && visibility > 0.5) {
         ctx.fillStyle = `rgba(255, 0, 0, ${visibility})`;
         ctx.font = 'bold 16px Arial';
         ctx.textAlign = 'center';
@@ -790,8 +1551,9 @@ function drawPlayer(player, isSelf, visibility = 1) {
         ctx.fillStyle = `rgba(0, 0, 0, ${0.7 * visibility})`;
         ctx.fillRect(player.x - textWidth/2 - 6, player.y - 28, textWidth + 12, 18);
         
-        // Border for text background
-        ctx.strokeStyle = `rgba(255, 100, 100, ${visibility * 0.5})`;
+        // Border for text background (team color for teammates)
+        ctx.strokeStyle = isEnemy ? `rgba(255, 100, 100, ${visibility * 0.5})` :
+                          player.color.replace(')', `, ${visibility * 0.5})`).replace('hsl', 'hsla');
         ctx.lineWidth = 1;
         ctx.strokeRect(player.x - textWidth/2 - 6, player.y - 28, textWidth + 12, 18);
         
@@ -804,40 +1566,32 @@ function drawPlayer(player, isSelf, visibility = 1) {
 }
 
 /**
- * Check if a player is visible (near a ping)
+ * Check how visible a player is. The server decides what we have detected
+ * (pings, gunfire, proximity) and only sends positions for those players.
  */
 function isPlayerVisible(player) {
-    let maxVisibility = 0;
-    
-    game.pings.forEach(ping => {
-        const distance = Math.sqrt(
-            Math.pow(player.x - ping.x, 2) + 
-            Math.pow(player.y - ping.y, 2)
-        );
-        
-        // Increased detection range and visibility
-        if (distance < ping.radius + 100) {
-            // Enhanced visibility calculation - players stay visible longer
-            const visibility = ping.alpha * (1 - (distance / (ping.radius + 100))) * 1.5;
-            maxVisibility = Math.max(maxVisibility, Math.min(1, visibility));
-        }
-    });
-    
-    // Additional visibility: if WE have shot recently, reveal nearby enemies
-    const sinceShotMs = Date.now() - (game.lastShotAt || 0);
-    if (sinceShotMs >= 0 && sinceShotMs < REVEAL_WHILE_SHOOTING_MS) {
-        const dx = player.x - (game.player?.x ?? 0);
-        const dy = player.y - (game.player?.y ?? 0);
-        const distanceToSelf = Math.sqrt(dx * dx + dy * dy);
-        if (distanceToSelf < COMBAT_REVEAL_RANGE) {
-            // Visibility increases as distance gets closer; ensure a minimum while shooting
-            const proximity = 1 - (distanceToSelf / COMBAT_REVEAL_RANGE);
-            const shootVisibility = Math.max(0.4, 0.4 + 0.6 * proximity); // 0.4..1.0
-            maxVisibility = Math.max(maxVisibility, Math.min(1, shootVisibility));
-        }
+    if (player.x === undefined || player.y === undefined) return 0;
+    return player.visibility || 0;
+}
+
+/**
+ * Check whether a player is on our team (never true in free-for-all)
+ */
+function isTeammate(player) {
+    return !!(game.player && game.player.team && player.team === game.player.team);
+}
+
+/**
+ * Remember where a player was for their movement trail
+ */
+function addTrailPoint(playerId, player) {
+    if (player.x === undefined) return;
+    if (!game.trails.has(playerId)) {
+        game.trails.set(playerId, []);
     }
-    
-    return maxVisibility;
+    const trail = game.trails.get(playerId);
+    trail.push({ x: player.x, y: player.y, alpha: 0.5 });
+    if (trail.length > 20) trail.shift();
 }
 
 /**
@@ -851,7 +1605,7 @@ function drawBullets() {
         ctx.strokeStyle = bullet.color.replace(')', ', 0.3)').replace('hsl', 'hsla');
         ctx.lineWidth = 3;
         ctx.beginPath();
-        ctx.moveTo(bullet.x - bullet.vx * 2, bullet.y - bullet.vy * 2);
+        ctx.moveTo(bullet.x - bullet.vx * 0.2, bullet.y - bullet.vy * 0.2);
         ctx.lineTo(bullet.x, bullet.y);
         ctx.stroke();
         
@@ -925,10 +1679,318 @@ function drawHealthBar(x, y, health, maxHealth, isSelf, visibility = 1) {
 }
 
 /**
- * Draw radar/minimap
+ * Radar settings (shown or not, and its size) are remembered between visits
+ */
+function setupRadar() {
+    game.radar.canvas = document.getElementById('minimapCanvas');
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem(RADAR_STORAGE_KEY));
+        if (saved) {
+            game.radar.visible = saved.visible !== false;
+            if (RADAR_SIZES.includes(saved.size)) game.radar.size = saved.size;
+        }
+    } catch (error) {
+        // Unreadable settings: keep the defaults
+    }
+    
+    // Clicking the radar resizes it too
+    document.getElementById('minimap').addEventListener('click', cycleRadarSize);
+    applyRadarSettings();
+}
+
+function applyRadarSettings() {
+    const container = document.getElementById('minimap');
+    container.classList.toggle('hidden', !game.radar.visible);
+    container.style.width = `${game.radar.size}px`;
+    container.style.height = `${game.radar.size}px`;
+    game.radar.canvas.width = game.radar.size;
+    game.radar.canvas.height = game.radar.size;
+    
+    localStorage.setItem(RADAR_STORAGE_KEY, JSON.stringify({ visible: game.radar.visible, size: game.radar.size }));
+}
+
+/**
+ * M shows or hides the radar, N cycles its size (for players and spectators alike)
+ */
+function handleRadarKey(e) {
+    if (document.getElementById('mainMenu').classList.contains('active')) return false;
+    
+    if (e.code === 'KeyM') {
+        game.radar.visible = !game.radar.visible;
+    } else if (e.code === 'KeyN') {
+        cycleRadarSize();
+        return true;
+    } else {
+        return false;
+    }
+    applyRadarSettings();
+    return true;
+}
+
+function cycleRadarSize() {
+    const index = RADAR_SIZES.indexOf(game.radar.size);
+    game.radar.size = RADAR_SIZES[(index + 1) % RADAR_SIZES.length];
+    applyRadarSettings();
+}
+
+/**
+ * Draw the radar: the whole world with walls, recent pings as fading rings, enemies where sonar
+ * last showed them (fading as that gets stale) and ourselves, under a rotating sweep
  */
 function drawRadar() {
-    // Optional: implement a minimap showing ping locations
+    // The replay viewer has no radar
+    if (!game.radar.canvas || !game.radar.visible) return;
+    
+    const ctx = game.radar.canvas.getContext('2d');
+    const size = game.radar.canvas.width;
+    const now = Date.now();
+    
+    // Fit the world into the square, centered
+    const scale = size / Math.max(game.worldWidth, game.worldHeight);
+    const offsetX = (size - game.worldWidth * scale) / 2;
+    const offsetY = (size - game.worldHeight * scale) / 2;
+    const toRadar = (x, y) => ({ x: offsetX + x * scale, y: offsetY + y * scale });
+    
+    ctx.clearRect(0, 0, size, size);
+    
+    // World edge and walls
+    ctx.strokeStyle = 'rgba(100, 200, 255, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(offsetX, offsetY, game.worldWidth * scale, game.worldHeight * scale);
+    
+    ctx.fillStyle = 'rgba(0, 255, 255, 0.15)';
+    game.walls.forEach(wall => {
+        ctx.beginPath();
+        wall.points.forEach((point, index) => {
+            const p = toRadar(point.x, point.y);
+            if (index === 0) {
+                ctx.moveTo(p.x, p.y);
+            } else {
+                ctx.lineTo(p.x, p.y);
+            }
+        });
+        ctx.closePath();
+        ctx.fill();
+    });
+    
+    // Sweep: a bright line trailed by a fading wedge
+    const center = size / 2;
+    const sweepAngle = (now % RADAR_SWEEP_PERIOD) / RADAR_SWEEP_PERIOD * Math.PI * 2;
+    const trailSteps = 12;
+    for (let i = 0; i < trailSteps; i++) {
+        const start = sweepAngle - (i + 1) * 0.05;
+        ctx.beginPath();
+        ctx.moveTo(center, center);
+        ctx.arc(center, center, size, start, start + 0.05);
+        ctx.closePath();
+        ctx.fillStyle = `rgba(0, 255, 150, ${0.12 * (1 - i / trailSteps)})`;
+        ctx.fill();
+    }
+    ctx.beginPath();
+    ctx.moveTo(center, center);
+    ctx.lineTo(center + Math.cos(sweepAngle) * size, center + Math.sin(sweepAngle) * size);
+    ctx.strokeStyle = 'rgba(0, 255, 150, 0.5)';
+    ctx.stroke();
+    
+    // Ping origins
+    game.radar.pings = game.radar.pings.filter(ping => now - ping.time < RADAR_PING_TIME);
+    game.radar.pings.forEach(ping => {
+        const progress = (now - ping.time) / RADAR_PING_TIME;
+        const p = toRadar(ping.x, ping.y);
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 2 + progress * 10, 0, Math.PI * 2);
+        ctx.strokeStyle = ping.color;
+        ctx.globalAlpha = 1 - progress;
+        ctx.stroke();
+    });
+    
+    // Last-known enemy positions
+    game.radar.contacts.forEach((contact, id) => {
+        const age = now - contact.seenAt;
+        if (age >= RADAR_CONTACT_TIME) {
+            game.radar.contacts.delete(id);
+            return;
+        }
+        const p = toRadar(contact.x, contact.y);
+        ctx.globalAlpha = 1 - age / RADAR_CONTACT_TIME;
+        ctx.fillStyle = '#ff4444';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+    
+    // Ourselves, or what a spectator is looking at
+    if (game.spectating) {
+        const topLeft = toRadar(game.camera.x, game.camera.y);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.strokeRect(topLeft.x, topLeft.y, game.canvas.width / game.zoom * scale, game.canvas.height / game.zoom * scale);
+    } else if (game.player && game.isAlive) {
+        const p = toRadar(game.player.x, game.player.y);
+        ctx.fillStyle = game.player.color || '#fff';
+        ctx.strokeStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+}
+
+/**
+ * Draw the pickups we can see, faded like players by how clearly sonar shows them
+ */
+function drawPickups() {
+    const ctx = game.ctx;
+    const pulse = 1 + Math.sin(Date.now() / 300) * 0.1;
+    
+    game.pickups.forEach(pickup => {
+        const pickupType = game.pickupTypes[pickup.type];
+        if (!pickupType) return;
+        
+        const size = 10 * pulse;
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, pickup.visibility * 1.5);
+        ctx.translate(pickup.x, pickup.y);
+        
+        // Glowing diamond with the type's icon
+        ctx.beginPath();
+        ctx.moveTo(0, -size);
+        ctx.lineTo(size, 0);
+        ctx.lineTo(0, size);
+        ctx.lineTo(-size, 0);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fill();
+        ctx.strokeStyle = pickupType.color;
+        ctx.lineWidth = 2;
+        ctx.shadowColor = pickupType.color;
+        ctx.shadowBlur = 12;
+        ctx.stroke();
+        
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = pickupType.color;
+        ctx.font = 'bold 10px Orbitron, Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(PICKUP_ICONS[pickup.type] || '?', 0, 1);
+        ctx.restore();
+    });
+}
+
+/**
+ * Draw mines as small discs in their owner's color, blinking once armed
+ */
+function drawMines() {
+    const ctx = game.ctx;
+    const now = Date.now();
+    const serverNow = now + (game.serverTimeOffset || 0);
+    const triggerRadius = game.weapons.mine ? game.weapons.mine.triggerRadius : 0;
+    
+    game.mines.forEach(mine => {
+        const armed = serverNow >= mine.armedAt;
+        ctx.save();
+        ctx.translate(mine.x, mine.y);
+        
+        // Faint ring where it goes off
+        if (armed && triggerRadius > 0) {
+            ctx.strokeStyle = mine.color.replace(')', ', 0.25)').replace('hsl', 'hsla');
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 6]);
+            ctx.beginPath();
+            ctx.arc(0, 0, triggerRadius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.strokeStyle = mine.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        // Blinking light
+        const lit = armed ? Math.floor(now / 400) % 2 === 0 : true;
+        ctx.fillStyle = armed ? (lit ? '#ff3333' : '#551111') : '#888888';
+        ctx.beginPath();
+        ctx.arc(0, 0, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    });
+}
+
+/**
+ * One chip per weapon (number key and name), rebuilt when the weapons change
+ */
+function buildWeaponPanel() {
+    const panel = document.getElementById('weaponSlots');
+    if (!panel) return;
+    panel.innerHTML = '';
+    
+    Object.values(game.weapons)
+        .sort((a, b) => a.slot - b.slot)
+        .forEach(weapon => {
+            const slot = createTextElement('span', 'weapon-slot', weapon.name.toUpperCase());
+            slot.id = `weapon-${weapon.id}`;
+            slot.prepend(createTextElement('span', 'weapon-key', String(weapon.slot)));
+            panel.appendChild(slot);
+        });
+    delete document.getElementById('ammoValue').dataset.summary;
+}
+
+/**
+ * Highlight the weapon in hand and show its ammo, or how far along a reload is
+ */
+function updateWeaponPanel() {
+    const ammoValue = document.getElementById('ammoValue');
+    const ammo = game.ammo[game.weapon];
+    if (!ammoValue || !ammo) return;
+    
+    let text = `${ammo.magazine} / ${ammo.reserve === null ? '∞' : ammo.reserve}`;
+    if (game.reload) {
+        const progress = 1 - Math.max(0, game.reload.endsAt - Date.now()) / game.reload.duration;
+        text = `RELOADING ${Math.floor(progress * 10) * 10}%`;
+    }
+    
+    // Only touch the DOM when something shown has changed
+    const summary = `${game.weapon}:${text}:` + Object.entries(game.ammo).map(([id, entry]) => `${id}${entry.magazine}/${entry.reserve}`).join(',');
+    if (ammoValue.dataset.summary === summary) return;
+    ammoValue.dataset.summary = summary;
+    
+    ammoValue.textContent = text;
+    ammoValue.classList.toggle('reloading', !!game.reload);
+    Object.values(game.weapons).forEach(weapon => {
+        const slot = document.getElementById(`weapon-${weapon.id}`);
+        const weaponAmmo = game.ammo[weapon.id];
+        if (!slot || !weaponAmmo) return;
+        slot.classList.toggle('active', weapon.id === game.weapon);
+        slot.classList.toggle('empty', weaponAmmo.magazine === 0 && weaponAmmo.reserve === 0);
+    });
+}
+
+/**
+ * Show our active pickup effects with the seconds they have left
+ */
+function updateEffectsPanel() {
+    const panel = document.getElementById('effectsPanel');
+    const now = Date.now();
+    const active = Object.entries(game.effects).filter(([typeId, expiresAt]) => expiresAt > now && game.pickupTypes[typeId]);
+    
+    // Only touch the DOM when a countdown ticks over
+    const summary = active.map(([typeId, expiresAt]) => `${typeId}:${Math.ceil((expiresAt - now) / 1000)}`).join(',');
+    if (panel.dataset.summary === summary) return;
+    panel.dataset.summary = summary;
+    
+    panel.innerHTML = '';
+    active.forEach(([typeId, expiresAt]) => {
+        const pickupType = game.pickupTypes[typeId];
+        const effect = createTextElement('div', 'effect', `${pickupType.name.toUpperCase()} ${Math.ceil((expiresAt - now) / 1000)}s`);
+        effect.style.borderColor = pickupType.color;
+        effect.style.color = pickupType.color;
+        panel.appendChild(effect);
+    });
 }
 
 /**
@@ -956,6 +2018,29 @@ function createPingParticles(x, y, color) {
     }
 }
 
+/**
+ * Fiery burst filling a mine's blast radius
+ */
+function createExplosionEffect(x, y, radius) {
+    for (let i = 0; i < EXPLOSION_PARTICLES; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const speed = 1 + Math.random() * radius / 20;
+        
+        game.particles.push({
+            x: x,
+            y: y,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            size: 2 + Math.random() * 3,
+            r: 255,
+            g: 120 + Math.floor(Math.random() * 100),
+            b: 40,
+            alpha: 1,
+            decay: 0.025
+        });
+    }
+}
+
 /**
  * Create hit effect
  */
@@ -998,13 +2083,77 @@ function updateScore() {
 
 function updatePlayersCount() {
     // Count total players including bots
-    const totalPlayers = game.players.size + 1; // +1 for self
+    const totalPlayers = game.players.size + (game.player ? 1 : 0); // +1 for self
     document.getElementById('playersCount').textContent = totalPlayers;
 }
 
-function updatePingCooldownBar() {
-    const percentage = ((game.maxPingCooldown - game.pingCooldown) / game.maxPingCooldown) * 100;
-    document.getElementById('pingCooldownBar').style.width = percentage + '%';
+/**
+ * Spectator HUD: who we're watching and how to change it
+ */
+function updateSpectatorBar() {
+    document.getElementById('gameUI').classList.toggle('spectating', game.spectating);
+    if (!game.spectating) return;
+    
+    const target = game.players.get(game.spectator.targetId);
+    let label = 'FREE CAMERA';
+    if (game.spectator.overview) {
+        label = 'WHOLE MAP';
+    } else if (game.spectator.mode === 'follow') {
+        label = target ? `WATCHING ${target.name}` : 'WAITING FOR PLAYERS';
+    }
+    document.getElementById('spectatorTarget').textContent = label;
+}
+
+/**
+ * Bot difficulty picked in the menu (only used when our room code opens a new room)
+ */
+function getChosenBotDifficulty() {
+    return document.getElementById('botDifficulty').value || null;
+}
+
+function updateArenaCode() {
+    document.getElementById('arenaCodeDisplay').textContent = game.arenaCode || '-';
+    document.getElementById('botDifficultyDisplay').textContent = game.botDifficulty ? `${game.botDifficulty} bots` : '-';
+    
+    // Keep the room in the address bar so the link can be shared
+    const url = new URL(window.location.href);
+    url.searchParams.set('arena', game.arenaCode);
+    window.history.replaceState(null, '', url);
+}
+
+/**
+ * Create one cooldown row per sonar type sent by the server
+ */
+function buildSonarPanel() {
+    const panel = document.getElementById('sonarPanel');
+    panel.innerHTML = '';
+    
+    Object.values(game.sonarTypes).forEach(sonarType => {
+        const row = document.createElement('div');
+        row.className = 'ping-status compact';
+        row.id = `sonar-${sonarType.id}`;
+        row.innerHTML = `
+            <span class="ping-label">${sonarType.name.toUpperCase()}</span>
+            <div class="ping-bar">
+                <div class="ping-fill"></div>
+            </div>
+            <span class="ping-key">${SONAR_KEY_LABELS[sonarType.id] || ''}</span>
+        `;
+        panel.appendChild(row);
+    });
+}
+
+function updateSonarPanel() {
+    Object.values(game.sonarTypes).forEach(sonarType => {
+        const row = document.getElementById(`sonar-${sonarType.id}`);
+        if (!row) return;
+        
+        const cooldown = getSonarCooldown(sonarType);
+        const remaining = Math.min(cooldown, game.sonarCooldowns[sonarType.id] || 0);
+        const percentage = ((cooldown - remaining) / cooldown) * 100;
+        row.querySelector('.ping-fill').style.width = percentage + '%';
+        row.classList.toggle('charging', !!game.charging && game.charging.type === sonarType.id);
+    });
 }
 
 function updateHealthBar() {
@@ -1016,10 +2165,55 @@ function updateHealthBar() {
 }
 
 function updateLeaderboard() {
-    const leaderboardContent = document.getElementById('leaderboardContent');
+    renderTeamScores(document.getElementById('teamScores'), game.teamScores);
+    renderLeaderboard(document.getElementById('leaderboardContent'), game.leaderboard);
+}
+
+/**
+ * Render team totals into a container (hidden outside team mode)
+ */
+function renderTeamScores(container, teamScores) {
+    container.innerHTML = '';
+    container.classList.toggle('hidden', teamScores.length === 0);
+    
+    teamScores.forEach(team => {
+        const teamDiv = document.createElement('div');
+        teamDiv.className = 'team-score';
+        teamDiv.style.borderTopColor = team.color;
+        
+        const name = document.createElement('span');
+        name.textContent = team.name.toUpperCase();
+        name.style.color = team.color;
+        
+        const score = document.createElement('span');
+        score.className = 'team-score-value';
+        score.textContent = team.score;
+        
+        const kills = document.createElement('span');
+        kills.textContent = `${team.kills}K`;
+        
+        teamDiv.append(name, score, kills);
+        container.appendChild(teamDiv);
+    });
+}
+
+/**
+ * An element showing text (never parsed as HTML)
+ */
+function createTextElement(tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * Render leaderboard entries into a container (HUD and round results)
+ */
+function renderLeaderboard(leaderboardContent, entries) {
     leaderboardContent.innerHTML = '';
     
-    game.leaderboard.forEach((entry, index) => {
+    entries.forEach((entry, index) => {
         const entryDiv = document.createElement('div');
         entryDiv.className = 'leaderboard-entry';
         
@@ -1036,20 +2230,253 @@ function updateLeaderboard() {
             entryDiv.classList.add('dead');
         }
         
-        entryDiv.innerHTML = `
-            <span class="leaderboard-rank">${index + 1}</span>
-            <span class="leaderboard-name">${entry.name}</span>
-            <div class="leaderboard-stats">
-                <span class="leaderboard-score">${entry.score}</span>
-                <span class="leaderboard-kills">${entry.kills}K</span>
-                <span class="leaderboard-kd">${entry.kd}KD</span>
-            </div>
-        `;
+        // In team mode the stripe shows the team instead of the player type
+        const team = game.teams.find(t => t.id === entry.team);
+        if (team) {
+            entryDiv.style.borderLeftColor = team.color;
+        }
+        
+        // Names are set by players, so everything goes in as text
+        const stats = document.createElement('div');
+        stats.className = 'leaderboard-stats';
+        stats.append(
+            createTextElement('span', 'leaderboard-score', entry.score),
+            createTextElement('span', 'leaderboard-kills', `${entry.kills}K`),
+            createTextElement('span', 'leaderboard-kd', `${entry.kd}KD`)
+        );
+        entryDiv.append(
+            createTextElement('span', 'leaderboard-rank', index + 1),
+            createTextElement('span', 'leaderboard-name', entry.name),
+            stats
+        );
         
         leaderboardContent.appendChild(entryDiv);
     });
 }
 
+/**
+ * Round timer
+ */
+function setRoundState(round) {
+    if (!round) return;
+    game.round = { ...round, receivedAt: Date.now() };
+}
+
+function getRoundRemaining() {
+    return Math.max(0, game.round.remaining - (Date.now() - game.round.receivedAt));
+}
+
+/**
+ * Format milliseconds as m:ss
+ */
+function formatDuration(milliseconds) {
+    const totalSeconds = Math.ceil(milliseconds / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return `${minutes}:${seconds}`;
+}
+
+function updateRoundTimer() {
+    const remaining = getRoundRemaining();
+    
+    const phaseLabels = { warmup: 'WARMUP', active: `ROUND ${game.round.number}`, intermission: 'RESULTS' };
+    const phaseElement = document.getElementById('roundPhase');
+    phaseElement.textContent = phaseLabels[game.round.phase] || '';
+    phaseElement.className = `round-phase ${game.round.phase}`;
+    document.getElementById('roundTime').textContent = formatDuration(remaining);
+    
+    // Flash the clock during the last 30 seconds of a round
+    const ending = game.round.phase === 'active' && remaining < 30000;
+    document.querySelector('.round-timer').classList.toggle('ending', ending);
+    
+    if (game.round.phase === 'intermission') {
+        document.getElementById('resultsCountdown').textContent = totalSeconds;
+    }
+}
+
+/**
+ * Round results screen
+ */
+function showRoundResults(data) {
+    // Not in the game yet: nothing to show
+    if (document.getElementById('mainMenu').classList.contains('active')) return;
+    
+    const reasons = { time: 'Time is up', score: 'Score limit reached', kills: 'Kill limit reached' };
+    const winnerName = data.winningTeam ? `${data.winningTeam.name} team` : data.winner && data.winner.name;
+    document.getElementById('resultsRound').textContent = data.number;
+    document.getElementById('resultsWinner').textContent = winnerName
+        ? `${winnerName} wins! (${reasons[data.reason] || 'Round over'})`
+        : reasons[data.reason] || 'Round over';
+    renderTeamScores(document.getElementById('resultsTeamScores'), data.teamScores || []);
+    
+    // Podium: second, first, third from left to right
+    const podium = document.getElementById('resultsPodium');
+    podium.innerHTML = '';
+    const places = [
+        { entry: data.leaderboard[1], className: 'second', rank: 2 },
+        { entry: data.leaderboard[0], className: 'first', rank: 1 },
+        { entry: data.leaderboard[2], className: 'third', rank: 3 }
+    ];
+    places.forEach(place => {
+        if (!place.entry) return;
+        
+        const placeDiv = document.createElement('div');
+        placeDiv.className = `podium-place ${place.className}`;
+        
+        const name = document.createElement('span');
+        name.className = 'podium-name';
+        name.textContent = place.entry.name;
+        
+        const score = document.createElement('span');
+        score.className = 'podium-score';
+        score.textContent = `${place.entry.score} pts • ${place.entry.kills}K`;
+        
+        const block = document.createElement('div');
+        block.className = 'podium-block';
+        block.textContent = place.rank;
+        
+        placeDiv.append(name, score, block);
+        podium.appendChild(placeDiv);
+    });
+    
+    renderLeaderboard(document.getElementById('resultsLeaderboard'), data.leaderboard);
+    document.getElementById('roundResults').classList.add('active');
+}
+
+function hideRoundResults() {
+    document.getElementById('roundResults').classList.remove('active');
+}
+
+/**
+ * Chat box: Enter to type, Tab to switch between all and team, Escape to cancel
+ */
+function setupChat() {
+    const input = document.getElementById('chatInput');
+    
+    // Keys pressed while typing are for the chat box, not the game
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        
+        if (e.key === 'Enter') {
+            sendChatMessage(input.value);
+            closeChat();
+            e.preventDefault();
+        } else if (e.key === 'Escape') {
+            closeChat();
+        } else if (e.key === 'Tab') {
+            setChatChannel(game.chatChannel === 'all' && game.teams.length > 0 ? 'team' : 'all');
+            e.preventDefault();
+        }
+    });
+    
+    // Stop walking as soon as we start typing
+    input.addEventListener('focus', () => {
+        game.keys = {};
+    });
+}
+
+function canOpenChat() {
+    return !game.spectating &&
+        !document.getElementById('mainMenu').classList.contains('active') &&
+        document.activeElement.tagName !== 'INPUT';
+}
+
+function openChat() {
+    document.getElementById('chatInput').focus();
+}
+
+function closeChat() {
+    const input = document.getElementById('chatInput');
+    input.value = '';
+    input.blur();
+}
+
+function setChatChannel(channel) {
+    game.chatChannel = channel;
+    const label = document.getElementById('chatChannel');
+    label.textContent = channel === 'team' ? 'TEAM' : 'ALL';
+    label.classList.toggle('team', channel === 'team');
+}
+
+function sendChatMessage(message) {
+    if (!message.trim()) return;
+    
+    // Local command: hear everyone again
+    if (message.trim() === '/unmute') {
+        game.mutedPlayers.clear();
+        addChatNotice('Everyone unmuted');
+        return;
+    }
+    game.socket.emit('chatMessage', { message: message, channel: game.chatChannel });
+}
+
+/**
+ * Start a fresh chat for a new arena
+ */
+function resetChat() {
+    document.getElementById('chatMessages').innerHTML = '';
+    setChatChannel('all');
+}
+
+function addChatMessage(chat) {
+    if (game.mutedPlayers.has(chat.playerId)) return;
+    
+    const line = document.createElement('div');
+    line.className = 'chat-message';
+    
+    if (chat.channel === 'team') {
+        const tag = document.createElement('span');
+        tag.className = 'chat-tag';
+        tag.textContent = '[TEAM] ';
+        line.appendChild(tag);
+    }
+    
+    // Click someone else's name to mute them
+    const name = document.createElement('span');
+    name.className = 'chat-name';
+    name.textContent = chat.name;
+    name.style.color = chat.color;
+    if (chat.playerId !== game.playerId) {
+        name.classList.add('mutable');
+        name.title = 'Click to mute';
+        name.addEventListener('click', () => toggleMute(chat.playerId, chat.name));
+    }
+    line.appendChild(name);
+    
+    const text = document.createElement('span');
+    text.textContent = `: ${chat.message}`;
+    line.appendChild(text);
+    
+    appendChatLine(line);
+}
+
+// A line from the game itself rather than a player
+function addChatNotice(message) {
+    const line = document.createElement('div');
+    line.className = 'chat-message chat-notice';
+    line.textContent = message;
+    appendChatLine(line);
+}
+
+function appendChatLine(line) {
+    const messages = document.getElementById('chatMessages');
+    messages.appendChild(line);
+    while (messages.children.length > MAX_CHAT_MESSAGES) {
+        messages.removeChild(messages.firstChild);
+    }
+    messages.scrollTop = messages.scrollHeight;
+}
+
+function toggleMute(playerId, name) {
+    if (game.mutedPlayers.has(playerId)) {
+        game.mutedPlayers.delete(playerId);
+        addChatNotice(`${name} unmuted`);
+    } else {
+        game.mutedPlayers.add(playerId);
+        addChatNotice(`${name} muted (type /unmute to hear everyone again)`);
+    }
+}
+
 /**
  * Event log
  */
@@ -1099,6 +2526,60 @@ function showMainMenu() {
     document.getElementById('deathScreen').classList.remove('active');
     document.getElementById('mainMenu').classList.add('active');
     document.getElementById('gameUI').classList.add('hidden');
+    refreshProfile();
+}
+
+/**
+ * Secret token identifying this browser's guest profile (created on first visit)
+ */
+function getGuestToken() {
+    let token = localStorage.getItem('echoGuestToken');
+    if (!token) {
+        token = window.crypto && crypto.randomUUID
+            ? crypto.randomUUID()
+            : Array.from({ length: 32 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+        localStorage.setItem('echoGuestToken', token);
+    }
+    return token;
+}
+
+/**
+ * Fetch the latest lifetime stats for the main menu
+ */
+function refreshProfile() {
+    if (!game.profileId) return;
+    
+    fetch(`/api/profile/${game.profileId}`)
+        .then(response => response.ok ? response.json() : null)
+        .then(renderProfile)
+        .catch(() => renderProfile(null)); // Stats just stay hidden until the server answers again
+}
+
+function renderProfile(profile) {
+    const container = document.getElementById('profileStats');
+    if (!profile) {
+        container.classList.add('hidden');
+        return;
+    }
+    
+    document.getElementById('profileKills').textContent = profile.kills;
+    document.getElementById('profileDeaths').textContent = profile.deaths;
+    document.getElementById('profileBestSurvival').textContent = formatDuration(profile.bestSurvivalTime);
+    document.getElementById('profileGames').textContent = profile.gamesPlayed;
+    document.getElementById('profilePings').textContent = profile.pingsFired;
+    container.classList.remove('hidden');
+}
+
+/**
+ * Show a server announcement across the top of the screen for a while
+ */
+function showAnnouncement(message) {
+    const banner = document.getElementById('announcement');
+    banner.textContent = message;
+    banner.classList.remove('hidden');
+    
+    clearTimeout(game.announcementTimer);
+    game.announcementTimer = setTimeout(() => banner.classList.add('hidden'), ANNOUNCEMENT_DURATION);
 }
 
 function showConnectionStatus(message) {
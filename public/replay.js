@@ -0,0 +1,450 @@
+/**
+ * Echo.io - Replay Viewer
+ * Plays back recorded matches (see lib/replay.js for the file layout) with the game's own renderer.
+ */
+
+// Replay state
+const replay = {
+    data: null,
+    time: 0, // ms into the recording
+    playing: false,
+    speed: 1,
+    perspective: null, // Entity index whose fog of war we see (null = god view)
+    pings: [], // Ping events, in time order
+    tickIndex: -1, // Tick the HUD was last drawn for
+    eventIndex: 0, // Next event to announce while playing
+    seeking: false, // The seek bar is being dragged
+    lastFrame: 0
+};
+
+const REPLAY_SEEK_STEP = 5000; // ms jumped by the arrow keys
+const REPLAY_TELEPORT_DISTANCE = 100; // px; bigger jumps between ticks are respawns, not movement
+
+document.addEventListener('DOMContentLoaded', initReplayViewer);
+
+/**
+ * Initialize the replay viewer
+ */
+function initReplayViewer() {
+    game.canvas = document.getElementById('gameCanvas');
+    game.ctx = game.canvas.getContext('2d');
+    
+    resizeCanvas();
+    window.addEventListener('resize', resizeCanvas);
+    
+    setupReplayControls();
+    loadReplayList();
+    
+    // Open a replay straight from the link (?file=NAME.json)
+    const file = new URLSearchParams(window.location.search).get('file');
+    if (file) {
+        loadReplay(file);
+    }
+    
+    requestAnimationFrame(replayLoop);
+}
+
+/**
+ * Playback controls and keyboard shortcuts
+ */
+function setupReplayControls() {
+    document.getElementById('replaySelect').addEventListener('change', (e) => {
+        if (e.target.value) loadReplay(e.target.value);
+    });
+    
+    document.getElementById('replayFileInput').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => startReplay(JSON.parse(text), file.name))
+            .catch(error => showReplayMessage(`Could not open ${file.name}: ${error.message}`));
+    });
+    
+    document.getElementById('playPauseBtn').addEventListener('click', togglePlayback);
+    
+    const seekBar = document.getElementById('seekBar');
+    seekBar.addEventListener('input', () => {
+        replay.seeking = true;
+        seekReplay(Number(seekBar.value));
+    });
+    seekBar.addEventListener('change', () => {
+        replay.seeking = false;
+    });
+    
+    document.getElementById('speedSelect').addEventListener('change', (e) => {
+        replay.speed = Number(e.target.value);
+    });
+    
+    document.getElementById('perspectiveSelect').addEventListener('change', (e) => {
+        replay.perspective = e.target.value === '' ? null : Number(e.target.value);
+        seekReplay(replay.time);
+    });
+    
+    document.addEventListener('keydown', (e) => {
+        if (!replay.data || e.target.tagName === 'SELECT') return;
+        
+        if (e.code === 'Space') {
+            togglePlayback();
+            e.preventDefault();
+        } else if (e.code === 'ArrowLeft') {
+            seekReplay(replay.time - REPLAY_SEEK_STEP);
+        } else if (e.code === 'ArrowRight') {
+            seekReplay(replay.time + REPLAY_SEEK_STEP);
+        }
+    });
+}
+
+/**
+ * Fill the replay picker with matches saved by the server
+ */
+function loadReplayList() {
+    fetch('/api/replays')
+        .then(response => {
+            if (!response.ok) throw new Error(`server answered ${response.status}`);
+            return response.json();
+        })
+        .then(replays => {
+            const select = document.getElementById('replaySelect');
+            replays.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.file;
+                option.textContent = `${entry.arenaCode} - Round ${entry.round} - ${new Date(entry.startedAt).toLocaleString()}`;
+                select.appendChild(option);
+            });
+        })
+        .catch(error => showReplayMessage(`Could not load the list of saved replays: ${error.message}`));
+}
+
+function loadReplay(file) {
+    showReplayMessage('Loading replay...');
+    fetch(`/replays/${encodeURIComponent(file)}`)
+        .then(response => {
+            if (!response.ok) throw new Error(`server answered ${response.status}`);
+            return response.json();
+        })
+        .then(data => startReplay(data, file))
+        .catch(error => showReplayMessage(`Could not load ${file}: ${error.message}`));
+}
+
+/**
+ * Reset the renderer for a freshly loaded replay and start playing it
+ */
+function startReplay(data, name) {
+    if (![1, 2].includes(data.version) || !Array.isArray(data.ticks) || data.ticks.length === 0) {
+        showReplayMessage(`${name} is not a replay this viewer can play`);
+        return;
+    }
+    
+    replay.data = data;
+    replay.pings = data.events.filter(event => event[1] === 'ping');
+    replay.perspective = null;
+    replay.playing = true;
+    
+    game.worldWidth = data.map.width;
+    game.worldHeight = data.map.height;
+    game.walls = data.map.walls.map(wall => ({ ...wall, revealedAt: 0 }));
+    game.teams = data.teams || [];
+    game.sonarTypes = data.sonarTypes;
+    
+    document.getElementById('replayTitle').textContent = `${data.arenaCode} - ROUND ${data.round}`;
+    document.getElementById('seekBar').max = data.duration;
+    buildPerspectiveOptions();
+    hideReplayMessage();
+    
+    seekReplay(0);
+}
+
+/**
+ * God view plus the fog of war of every human player in the match
+ */
+function buildPerspectiveOptions() {
+    const select = document.getElementById('perspectiveSelect');
+    select.innerHTML = '<option value="">God view</option>';
+    
+    replay.data.entities.forEach((entity, index) => {
+        if (entity.isBot) return;
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `${entity.name}'s view`;
+        select.appendChild(option);
+    });
+}
+
+function togglePlayback() {
+    if (!replay.data) return;
+    
+    // Playing from the very end starts over
+    if (!replay.playing && replay.time >= replay.data.duration) {
+        seekReplay(0);
+    }
+    replay.playing = !replay.playing;
+}
+
+/**
+ * Jump to a point in the recording
+ */
+function seekReplay(time) {
+    if (!replay.data) return;
+    
+    replay.time = Math.max(0, Math.min(replay.data.duration, time));
+    replay.tickIndex = -1;
+    
+    // Don't announce everything we skipped over
+    const events = replay.data.events;
+    replay.eventIndex = 0;
+    while (replay.eventIndex < events.length && events[replay.eventIndex][0] <= replay.time) {
+        replay.eventIndex++;
+    }
+    
+    // Effects from before the jump no longer make sense
+    game.trails.clear();
+    game.particles = [];
+    game.walls.forEach(wall => {
+        wall.revealedAt = 0;
+    });
+}
+
+/**
+ * Replay loop
+ */
+function replayLoop(timestamp) {
+    // Cap the step so a backgrounded tab doesn't skip ahead
+    const deltaTime = Math.min(timestamp - replay.lastFrame, 100);
+    replay.lastFrame = timestamp;
+    
+    if (replay.data) {
+        if (replay.playing) {
+            replay.time = Math.min(replay.data.duration, replay.time + deltaTime * replay.speed);
+            if (replay.time >= replay.data.duration) {
+                replay.playing = false;
+            }
+        }
+        
+        applyReplayFrame();
+        announceReplayEvents();
+        updateEffects();
+        drawReplay();
+        updateReplayControls();
+    }
+    
+    requestAnimationFrame(replayLoop);
+}
+
+/**
+ * Last tick recorded at or before a time (binary search)
+ */
+function findTickIndex(time) {
+    const ticks = replay.data.ticks;
+    let low = 0;
+    let high = ticks.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (ticks[middle][0] <= time) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Load the recorded state for the current time into the game object the renderer draws from
+ */
+function applyReplayFrame() {
+    const data = replay.data;
+    const index = findTickIndex(replay.time);
+    const tick = data.ticks[index];
+    const next = data.ticks[index + 1];
+    const blend = next ? Math.max(0, Math.min(1, (replay.time - tick[0]) / (next[0] - tick[0]))) : 0;
+    const nextStates = next ? new Map(next[1].map(state => [state[0], state])) : new Map();
+    const newTick = index !== replay.tickIndex;
+    
+    // In a player's view only what they could see is shown
+    const viewer = replay.perspective;
+    const visible = viewer === null ? null : new Map(tick[3][viewer] || []);
+    
+    game.players.clear();
+    game.player = null;
+    game.playerId = viewer === null ? null : data.entities[viewer].id;
+    
+    tick[1].forEach(state => {
+        const [entityIndex, x, y, health, alive, score, kills, deaths] = state;
+        const entity = data.entities[entityIndex];
+        const player = {
+            ...entity,
+            x: x,
+            y: y,
+            health: health,
+            maxHealth: 100,
+            alive: !!alive,
+            score: score,
+            kills: kills,
+            deaths: deaths,
+            visibility: 1
+        };
+        
+        // Smooth movement between ticks
+        const nextState = nextStates.get(entityIndex);
+        if (nextState && Math.hypot(nextState[1] - x, nextState[2] - y) < REPLAY_TELEPORT_DISTANCE) {
+            player.x = x + (nextState[1] - x) * blend;
+            player.y = y + (nextState[2] - y) * blend;
+        }
+        
+        if (entityIndex === viewer) {
+            game.player = player;
+            game.isAlive = player.alive;
+            return;
+        }
+        
+        if (!player.alive) {
+            player.visibility = 0;
+        } else if (visible) {
+            player.visibility = visible.get(entityIndex) || 0;
+        }
+        if (player.visibility === 0) {
+            player.x = undefined;
+            player.y = undefined;
+        }
+        
+        game.players.set(entity.id, player);
+        if (newTick) {
+            addTrailPoint(entity.id, player);
+        }
+    });
+    
+    // Without a player to follow (god view, or they had left) show the whole map
+    game.spectating = !game.player;
+    
+    // Bullets travel in straight lines, so they can be moved on from the last tick
+    // (version 1 recorded velocities per 100ms server tick, later versions per second)
+    const velocityScale = data.version === 1 ? 10 : 1;
+    const sinceTick = (replay.time - tick[0]) / 1000;
+    game.bullets.clear();
+    tick[2].forEach((bullet, bulletIndex) => {
+        const [ownerIndex, x, y] = bullet;
+        const vx = bullet[3] * velocityScale;
+        const vy = bullet[4] * velocityScale;
+        game.bullets.set(bulletIndex, {
+            x: x + vx * sinceTick,
+            y: y + vy * sinceTick,
+            vx: vx,
+            vy: vy,
+            color: data.entities[ownerIndex].color
+        });
+    });
+    
+    // Pings still expanding at this moment (that the viewer could hear)
+    game.pings = replay.pings
+        .filter(([time, , ping]) => time <= replay.time && replay.time - time < ping.duration)
+        .filter(([, , ping]) => viewer === null || ping.heardBy === null || ping.entity === viewer ||
+            ping.heardBy.includes(viewer))
+        .map(([time, , ping]) => ({
+            ...ping,
+            radius: 0,
+            alpha: 1,
+            startTime: Date.now() - (replay.time - time)
+        }));
+    
+    // God view sees the whole map
+    if (viewer === null) {
+        game.walls.forEach(wall => {
+            wall.revealedAt = Date.now();
+        });
+    }
+    
+    if (newTick) {
+        replay.tickIndex = index;
+        updateReplayLeaderboard(tick);
+    }
+}
+
+/**
+ * Show kills, hits and pings as playback passes them
+ */
+function announceReplayEvents() {
+    const data = replay.data;
+    const viewer = replay.perspective;
+    
+    while (replay.eventIndex < data.events.length && data.events[replay.eventIndex][0] <= replay.time) {
+        const [, type, event] = data.events[replay.eventIndex++];
+        const entity = data.entities[event.entity];
+        
+        if (type === 'death') {
+            const eliminator = event.eliminatedBy === null ? null : data.entities[event.eliminatedBy];
+            addEventLog(`${eliminator ? eliminator.name : 'Unknown'} eliminated ${entity.name}!`, 'elimination');
+        } else if (type === 'name') {
+            entity.name = event.name;
+        } else if (type === 'ping') {
+            if (viewer === null || event.heardBy === null || event.heardBy.includes(viewer)) {
+                createPingParticles(event.x, event.y, entity.color);
+            }
+        } else if (type === 'hit') {
+            const target = entity.id === game.playerId ? game.player : game.players.get(entity.id);
+            if (target && target.x !== undefined) {
+                createHitEffect(target.x, target.y);
+            }
+        }
+    }
+}
+
+function updateReplayLeaderboard(tick) {
+    const entries = tick[1]
+        .map(([entityIndex, , , , alive, score, kills, deaths]) => ({
+            ...replay.data.entities[entityIndex],
+            alive: !!alive,
+            score: score,
+            kills: kills,
+            deaths: deaths,
+            kd: deaths === 0 ? kills : (kills / deaths).toFixed(2)
+        }))
+        .sort((a, b) => b.score - a.score);
+    
+    renderLeaderboard(document.getElementById('leaderboardContent'), entries.slice(0, 10));
+    
+    const teamScores = game.teams.map(team => {
+        const members = entries.filter(entry => entry.team === team.id);
+        return {
+            ...team,
+            score: members.reduce((total, entry) => total + entry.score, 0),
+            kills: members.reduce((total, entry) => total + entry.kills, 0)
+        };
+    }).sort((a, b) => b.score - a.score);
+    renderTeamScores(document.getElementById('teamScores'), teamScores);
+}
+
+/**
+ * Draw the current frame. God view is the spectator overview of the whole map;
+ * a player's view follows them like the live game does.
+ */
+function drawReplay() {
+    if (game.player) {
+        game.zoom = 1;
+        game.camera.x = game.player.x - game.canvas.width / 2;
+        game.camera.y = game.player.y - game.canvas.height / 2;
+    } else {
+        game.spectator.overview = true;
+        updateSpectatorCamera(0);
+    }
+    
+    render();
+}
+
+function updateReplayControls() {
+    const duration = replay.data.duration;
+    if (!replay.seeking) {
+        document.getElementById('seekBar').value = replay.time;
+    }
+    document.getElementById('replayTime').textContent = `${formatDuration(replay.time)} / ${formatDuration(duration)}`;
+    document.getElementById('playPauseBtn').textContent = replay.playing ? 'PAUSE' : 'PLAY';
+}
+
+function showReplayMessage(message) {
+    const element = document.getElementById('replayMessage');
+    element.textContent = message;
+    element.classList.remove('hidden');
+}
+
+function hideReplayMessage() {
+    document.getElementById('replayMessage').classList.add('hidden');
+}
@@ -0,0 +1,96 @@
+/**
+ * Echo.io Tick Benchmark
+ * Runs a headless arena crowded with bots (and a few fake players receiving snapshots) and
+ * reports how long simulation steps and snapshots take at different population sizes.
+ *
+ * Usage: node scripts/benchmark.js [entity counts...] (default: 50 100 250 500)
+ * Exits with an error when any population needs more than a whole simulation step on average.
+ */
+
+const { Arena } = require('../lib/arena');
+const { DEFAULT_CONFIG } = require('../lib/config');
+
+const PLAYERS = 10; // Fake human players, so snapshots and their visibility checks are measured too
+const WARMUP_STEPS = 90; // Let bots spread out, ping and start fighting before measuring
+const MEASURED_STEPS = 300;
+
+// The server defaults, with one long round and the bot limits raised to the population being measured
+const BASE_CONFIG = {
+    ...DEFAULT_CONFIG,
+    maxPlayers: PLAYERS,
+    warmupTime: 0,
+    roundTime: 3600000,
+    scoreLimit: 0,
+    killLimit: 0
+};
+
+// Stand-in for Socket.io that drops everything
+const emitter = { emit() {}, except: () => emitter };
+emitter.volatile = emitter;
+const io = { to: () => emitter };
+
+function createSocket(id) {
+    return { id: id, data: {}, join() {}, leave() {}, emit() {}, to: () => emitter };
+}
+
+function summarize(durations) {
+    const sorted = [...durations].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, duration) => sum + duration, 0);
+    return {
+        average: total / sorted.length,
+        p95: sorted[Math.floor(sorted.length * 0.95)],
+        max: sorted[sorted.length - 1]
+    };
+}
+
+function timed(fn) {
+    const started = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - started) / 1e6;
+}
+
+function benchmark(entityCount) {
+    const arena = new Arena(io, 'BENCH', { ...BASE_CONFIG, minBots: entityCount, maxBots: entityCount });
+    const world = arena.world;
+    const stepsPerSnapshot = Math.round(BASE_CONFIG.simulationRate / BASE_CONFIG.snapshotRate);
+    
+    for (let i = 0; i < Math.min(PLAYERS, entityCount); i++) {
+        const player = arena.addPlayer(createSocket(`player${i}`));
+        player.input = { up: i % 2 === 0, down: i % 2 === 1, left: i % 3 === 0, right: i % 3 === 1 };
+    }
+    world.manageBotPopulation();
+    
+    const stepDurations = [];
+    const snapshotDurations = [];
+    let now = Date.now();
+    for (let i = 0; i < WARMUP_STEPS + MEASURED_STEPS; i++) {
+        now += world.stepInterval;
+        world.simulationTime = now;
+        const stepDuration = timed(() => world.step(now, world.stepInterval / 1000));
+        const snapshotDuration = i % stepsPerSnapshot === 0 ? timed(() => arena.sendSnapshot(now)) : null;
+        
+        if (i < WARMUP_STEPS) continue;
+        stepDurations.push(stepDuration);
+        if (snapshotDuration !== null) snapshotDurations.push(snapshotDuration);
+    }
+    
+    return {
+        entities: world.players.size + world.bots.size,
+        step: summarize(stepDurations),
+        snapshot: summarize(snapshotDurations),
+        budget: world.stepInterval
+    };
+}
+
+function formatTimes(times) {
+    return `avg ${times.average.toFixed(2)}ms, p95 ${times.p95.toFixed(2)}ms, max ${times.max.toFixed(2)}ms`;
+}
+
+const counts = process.argv.slice(2).map(Number).filter(count => Number.isInteger(count) && count > 0);
+(counts.length > 0 ? counts : [50, 100, 250, 500]).forEach(count => {
+    const result = benchmark(count);
+    const load = (result.step.average + result.snapshot.average / (BASE_CONFIG.simulationRate / BASE_CONFIG.snapshotRate)) / result.budget;
+    const verdict = load > 1 ? 'OVER BUDGET' : 'ok';
+    console.log(`${String(result.entities).padStart(4)} entities | step: ${formatTimes(result.step)} | snapshot: ${formatTimes(result.snapshot)} | ${(load * 100).toFixed(1)}% of a ${result.budget.toFixed(1)}ms step | ${verdict}`);
+    if (load > 1) process.exitCode = 1;
+});
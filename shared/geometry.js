@@ -0,0 +1,211 @@
+/**
+ * Echo.io - Shared Geometry
+ * Wall collision and line-of-sight helpers used by both the server and the browser.
+ * Walls are convex or concave polygons: { points: [{ x, y }, ...], bounds: { minX, minY, maxX, maxY } }
+ */
+
+(function (exports) {
+    /**
+     * Build a wall polygon from a map definition (rectangle or point list)
+     */
+    function createWall(definition, index) {
+        let points;
+        if (Array.isArray(definition.points)) {
+            points = definition.points.map(point => (
+                Array.isArray(point) ? { x: point[0], y: point[1] } : { x: point.x, y: point.y }
+            ));
+        } else {
+            const { x, y, width, height } = definition;
+            points = [
+                { x: x, y: y },
+                { x: x + width, y: y },
+                { x: x + width, y: y + height },
+                { x: x, y: y + height }
+            ];
+        }
+        
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        
+        return {
+            id: definition.id || `wall_${index}`,
+            points: points,
+            bounds: {
+                minX: Math.min(...xs),
+                minY: Math.min(...ys),
+                maxX: Math.max(...xs),
+                maxY: Math.max(...ys)
+            }
+        };
+    }
+    
+    /**
+     * Even-odd point in polygon test
+     */
+    function pointInPolygon(x, y, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
+    /**
+     * Nearest point to (x, y) on a line segment
+     */
+    function closestPointOnSegment(x, y, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared));
+        return { x: a.x + t * dx, y: a.y + t * dy };
+    }
+    
+    /**
+     * Distance from a point to a line segment
+     */
+    function distanceToSegment(x, y, a, b) {
+        const closest = closestPointOnSegment(x, y, a, b);
+        return Math.hypot(x - closest.x, y - closest.y);
+    }
+    
+    /**
+     * Nearest point to (x, y) on a wall's outline
+     */
+    function closestPointOnWall(x, y, wall) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        const points = wall.points;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const closest = closestPointOnSegment(x, y, points[j], points[i]);
+            const distance = Math.hypot(x - closest.x, y - closest.y);
+            if (distance < nearestDistance) {
+                nearestDistance = distance;
+                nearest = closest;
+            }
+        }
+        return nearest;
+    }
+    
+    /**
+     * Check whether (x, y) lies inside the arc of a cone starting at (originX, originY).
+     * An arc of a full circle or more always matches.
+     */
+    function isWithinArc(originX, originY, direction, arc, x, y) {
+        if (arc >= Math.PI * 2) return true;
+        
+        const angle = Math.atan2(y - originY, x - originX);
+        const difference = Math.atan2(Math.sin(angle - direction), Math.cos(angle - direction));
+        return Math.abs(difference) <= arc / 2;
+    }
+    
+    /**
+     * Distance from a point to a wall (0 when inside it)
+     */
+    function distanceToWall(x, y, wall) {
+        if (pointInPolygon(x, y, wall.points)) return 0;
+        
+        let nearest = Infinity;
+        const points = wall.points;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            nearest = Math.min(nearest, distanceToSegment(x, y, points[j], points[i]));
+        }
+        return nearest;
+    }
+    
+    /**
+     * Check whether a circle overlaps a wall
+     */
+    function circleIntersectsWall(x, y, radius, wall) {
+        const bounds = wall.bounds;
+        if (x + radius < bounds.minX || x - radius > bounds.maxX ||
+            y + radius < bounds.minY || y - radius > bounds.maxY) {
+            return false;
+        }
+        return distanceToWall(x, y, wall) < radius;
+    }
+    
+    function collidesWithWalls(walls, x, y, radius) {
+        return walls.some(wall => circleIntersectsWall(x, y, radius, wall));
+    }
+    
+    /**
+     * Which side of the line a->b the point c is on (sign of the cross product)
+     */
+    function orientation(a, b, c) {
+        return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    }
+    
+    /**
+     * Check whether two segments cross each other
+     */
+    function segmentsIntersect(p1, p2, p3, p4) {
+        const d1 = orientation(p3, p4, p1);
+        const d2 = orientation(p3, p4, p2);
+        const d3 = orientation(p1, p2, p3);
+        const d4 = orientation(p1, p2, p4);
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+               ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+    }
+    
+    /**
+     * Check whether the line from (x1, y1) to (x2, y2) crosses or starts inside a wall
+     */
+    function segmentIntersectsWall(x1, y1, x2, y2, wall) {
+        const bounds = wall.bounds;
+        if (Math.max(x1, x2) < bounds.minX || Math.min(x1, x2) > bounds.maxX ||
+            Math.max(y1, y2) < bounds.minY || Math.min(y1, y2) > bounds.maxY) {
+            return false;
+        }
+        
+        const start = { x: x1, y: y1 };
+        const end = { x: x2, y: y2 };
+        const points = wall.points;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            if (segmentsIntersect(start, end, points[j], points[i])) return true;
+        }
+        return pointInPolygon(x1, y1, points);
+    }
+    
+    function isLineBlocked(walls, x1, y1, x2, y2) {
+        return walls.some(wall => segmentIntersectsWall(x1, y1, x2, y2, wall));
+    }
+    
+    /**
+     * Move a circle by (dx, dy), sliding along walls and staying inside the world.
+     * Each axis is tried separately so hitting a wall at an angle still moves along it.
+     */
+    function moveWithCollisions(walls, x, y, dx, dy, radius, worldWidth, worldHeight) {
+        let newX = Math.max(0, Math.min(worldWidth, x + dx));
+        let newY = y;
+        let blocked = false;
+        
+        if (collidesWithWalls(walls, newX, newY, radius)) {
+            newX = x;
+            blocked = true;
+        }
+        
+        newY = Math.max(0, Math.min(worldHeight, y + dy));
+        if (collidesWithWalls(walls, newX, newY, radius)) {
+            newY = y;
+            blocked = true;
+        }
+        
+        return { x: newX, y: newY, blocked: blocked };
+    }
+    
+    exports.createWall = createWall;
+    exports.pointInPolygon = pointInPolygon;
+    exports.distanceToWall = distanceToWall;
+    exports.closestPointOnWall = closestPointOnWall;
+    exports.isWithinArc = isWithinArc;
+    exports.circleIntersectsWall = circleIntersectsWall;
+    exports.collidesWithWalls = collidesWithWalls;
+    exports.segmentIntersectsWall = segmentIntersectsWall;
+    exports.isLineBlocked = isLineBlocked;
+    exports.moveWithCollisions = moveWithCollisions;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.Geometry = {}));
@@ -0,0 +1,216 @@
+/**
+ * Bot tests: what bots remember about enemies and how their brains act on it, with randomness pinned.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameWorld } = require('../lib/world');
+const { DEFAULT_CONFIG } = require('../lib/config');
+const { BOT_DIFFICULTIES, MAX_CONTACTS, getBotDifficulty, updateBotBrain } = require('../lib/bots');
+
+// The server defaults, without bots of its own
+const CONFIG = {
+    ...DEFAULT_CONFIG,
+    minBots: 0,
+    maxBots: 0,
+    warmupTime: 0
+};
+
+const START = 1000000;
+
+// Open floor inside the outpost's central walls
+const BOT_SPOT = { x: 800, y: 1000 };
+
+// One bot of the given difficulty, with every random roll coming out as randomValue
+function createBotWorld(difficulty = 'normal', randomValue = 0.5) {
+    const world = new GameWorld({ ...CONFIG, botDifficulty: difficulty }, { clock: () => START, seed: 1 });
+    world.random = () => randomValue;
+    const bot = world.createBot();
+    world.setPosition(bot, BOT_SPOT.x, BOT_SPOT.y);
+    return { world, bot };
+}
+
+function addEnemyAt(world, id, x, y) {
+    const enemy = world.addPlayer(id);
+    world.setPosition(enemy, x, y);
+    return enemy;
+}
+
+// An enemy the bot can see right now, distance pixels straight ahead
+function spotEnemy(world, bot, distance) {
+    const enemy = addEnemyAt(world, 'enemy', bot.x + distance, bot.y);
+    world.rememberContact(bot, enemy, START, 0, true);
+    return enemy;
+}
+
+function think(world, bot, now) {
+    updateBotBrain(world, bot, world.botDifficulty, now, world.stepInterval / 1000);
+    return bot.brain.state;
+}
+
+test('bots remember where they last saw an enemy until their memory runs out', () => {
+    const { world, bot } = createBotWorld();
+    const enemy = addEnemyAt(world, 'enemy', BOT_SPOT.x + 30, BOT_SPOT.y);
+    
+    world.updateBotContacts(bot, START);
+    const contact = bot.contacts.get('enemy');
+    assert.deepStrictEqual(contact, { id: 'enemy', x: enemy.x, y: enemy.y, seenAt: START, visible: true });
+    
+    // Out of sight: still remembered where it was, and updated in place when seen again
+    world.setPosition(enemy, BOT_SPOT.x + 500, BOT_SPOT.y);
+    world.updateBotContacts(bot, START + 100);
+    assert.deepStrictEqual(bot.contacts.get('enemy'), { id: 'enemy', x: BOT_SPOT.x + 30, y: BOT_SPOT.y, seenAt: START, visible: false });
+    
+    world.setPosition(enemy, BOT_SPOT.x, BOT_SPOT.y + 40);
+    world.updateBotContacts(bot, START + 200);
+    assert.strictEqual(bot.contacts.get('enemy'), contact);
+    assert.deepStrictEqual(contact, { id: 'enemy', x: BOT_SPOT.x, y: BOT_SPOT.y + 40, seenAt: START + 200, visible: true });
+    
+    world.setPosition(enemy, BOT_SPOT.x + 500, BOT_SPOT.y);
+    world.updateBotContacts(bot, START + 200 + world.botDifficulty.memoryTime);
+    assert.strictEqual(bot.contacts.has('enemy'), true);
+    world.updateBotContacts(bot, START + 201 + world.botDifficulty.memoryTime);
+    assert.strictEqual(bot.contacts.has('enemy'), false);
+});
+
+test('dead enemies are forgotten at once', () => {
+    const { world, bot } = createBotWorld();
+    const enemy = addEnemyAt(world, 'enemy', BOT_SPOT.x + 30, BOT_SPOT.y);
+    world.updateBotContacts(bot, START);
+    
+    enemy.alive = false;
+    world.updateBotContacts(bot, START + 100);
+    assert.strictEqual(bot.contacts.size, 0);
+});
+
+test('heard gunfire gives a rough position that never overrides a sighting', () => {
+    const { world, bot } = createBotWorld('normal', 0.5);
+    const enemy = addEnemyAt(world, 'enemy', BOT_SPOT.x + 300, BOT_SPOT.y);
+    
+    // Half a turn round and half the uncertainty away from where the shot came from
+    world.rememberContact(bot, enemy, START, 100);
+    const contact = bot.contacts.get('enemy');
+    assert.strictEqual(Math.round(contact.x), enemy.x - 50);
+    assert.strictEqual(Math.round(contact.y), enemy.y);
+    assert.strictEqual(contact.visible, false);
+    
+    world.setPosition(enemy, BOT_SPOT.x + 30, BOT_SPOT.y);
+    world.updateBotContacts(bot, START + 100);
+    world.rememberContact(bot, enemy, START + 100, 100);
+    assert.deepStrictEqual(contact, { id: 'enemy', x: enemy.x, y: enemy.y, seenAt: START + 100, visible: true });
+});
+
+test('in a crowd a bot keeps track of the nearest enemies in sight and forgets the rest', () => {
+    const { world, bot } = createBotWorld();
+    for (let i = 0; i < MAX_CONTACTS + 2; i++) {
+        addEnemyAt(world, `enemy${i}`, BOT_SPOT.x + 20 + i * 20, BOT_SPOT.y);
+    }
+    
+    // Shooting lights up everyone around
+    bot.lastShoot = START;
+    world.updateBotContacts(bot, START);
+    assert.strictEqual(bot.contacts.size, MAX_CONTACTS);
+    assert.strictEqual(bot.contacts.has(`enemy${MAX_CONTACTS - 1}`), true);
+    assert.strictEqual(bot.contacts.has(`enemy${MAX_CONTACTS}`), false);
+    
+    // A fresh rumour of someone else is not worth more than an enemy in plain sight
+    const far = addEnemyAt(world, 'far', BOT_SPOT.x, BOT_SPOT.y + 600);
+    world.rememberContact(bot, far, START, 0);
+    assert.strictEqual(bot.contacts.size, MAX_CONTACTS);
+    assert.strictEqual(bot.contacts.has('far'), false);
+    
+    // ...but once they are out of sight, memories go oldest first
+    bot.contacts.forEach(contact => {
+        contact.visible = false;
+    });
+    world.rememberContact(bot, world.players.get(`enemy${MAX_CONTACTS}`), START + 100, 0);
+    assert.strictEqual(bot.contacts.size, MAX_CONTACTS);
+    assert.strictEqual(bot.contacts.has(`enemy${MAX_CONTACTS}`), true);
+});
+
+test('with nothing to hunt a bot patrols and pulses now and then', () => {
+    const { world, bot } = createBotWorld();
+    
+    assert.strictEqual(think(world, bot, START), 'patrol');
+    assert.deepStrictEqual(world.pings.map(ping => ping.type), ['pulse']);
+    
+    assert.strictEqual(think(world, bot, START + 100), 'patrol');
+    assert.strictEqual(world.pings.length, 1);
+});
+
+test('a remembered enemy is searched for with the cone and given up on once its spot is reached', () => {
+    const { world, bot } = createBotWorld();
+    const enemy = addEnemyAt(world, 'enemy', BOT_SPOT.x + 300, BOT_SPOT.y);
+    world.rememberContact(bot, enemy, START, 0);
+    
+    assert.strictEqual(think(world, bot, START), 'investigate');
+    assert.strictEqual(bot.targetDirection, 0);
+    assert.deepStrictEqual(world.pings.map(ping => ping.type), ['cone']);
+    
+    world.setPosition(bot, enemy.x - 20, enemy.y);
+    think(world, bot, START + 100);
+    assert.strictEqual(bot.contacts.size, 0);
+    assert.strictEqual(think(world, bot, START + 200), 'patrol');
+});
+
+test('bots wait out their reaction time before shooting an enemy in sight', () => {
+    const { world, bot } = createBotWorld('normal', 0.99);
+    spotEnemy(world, bot, 200);
+    
+    assert.strictEqual(think(world, bot, START), 'engage');
+    assert.strictEqual(world.bullets.size, 0);
+    
+    think(world, bot, START + world.botDifficulty.reactionTime);
+    assert.strictEqual(world.bullets.size, 1);
+    assert.strictEqual(bot.weapon, 'pistol');
+});
+
+test('the difficulty decides whether a bot flanks an enemy it has just spotted', () => {
+    const flanker = createBotWorld('normal', 0);
+    spotEnemy(flanker.world, flanker.bot, 300);
+    assert.strictEqual(think(flanker.world, flanker.bot, START), 'flank');
+    assert.strictEqual(think(flanker.world, flanker.bot, START + 1000), 'flank');
+    assert.strictEqual(think(flanker.world, flanker.bot, START + 2500), 'engage', 'a flank that takes too long turns into a straight fight');
+    
+    // Easy bots never flank, however the dice fall
+    const easy = createBotWorld('easy', 0);
+    spotEnemy(easy.world, easy.bot, 300);
+    assert.strictEqual(think(easy.world, easy.bot, START), 'engage');
+});
+
+test('a badly hurt bot retreats for a while, dropping a mine on hard', () => {
+    const { world, bot } = createBotWorld('hard', 0.99);
+    spotEnemy(world, bot, 200);
+    bot.health = BOT_DIFFICULTIES.hard.retreatHealth;
+    bot.lastHitAt = START;
+    
+    assert.strictEqual(think(world, bot, START), 'retreat');
+    assert.strictEqual(bot.targetDirection, Math.PI);
+    assert.strictEqual(world.mines.size, 1);
+    assert.strictEqual(think(world, bot, START + 2900), 'retreat');
+    assert.strictEqual(think(world, bot, START + 3000), 'engage');
+    
+    // Easy bots fight on at any health
+    const easy = createBotWorld('easy', 0.99);
+    spotEnemy(easy.world, easy.bot, 200);
+    easy.bot.health = 1;
+    easy.bot.lastHitAt = START;
+    assert.strictEqual(think(easy.world, easy.bot, START), 'engage');
+});
+
+test('bots that know several guns pick the one that suits the distance', () => {
+    const { world, bot } = createBotWorld('hard', 0.99);
+    spotEnemy(world, bot, 300);
+    
+    think(world, bot, START);
+    think(world, bot, START + world.botDifficulty.reactionTime);
+    assert.strictEqual(bot.weapon, 'sniper');
+    assert.strictEqual(world.bullets.size, 1);
+});
+
+test('difficulty profiles are looked up by name only', () => {
+    assert.strictEqual(getBotDifficulty('hard'), BOT_DIFFICULTIES.hard);
+    assert.strictEqual(getBotDifficulty('impossible'), null);
+    assert.strictEqual(getBotDifficulty('toString'), null);
+});
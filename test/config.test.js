@@ -0,0 +1,152 @@
+/**
+ * Config tests: layering of defaults, presets, files, environment and flags, and validation errors.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG, PRESETS, ConfigError, loadConfig, diffConfig, checkLiveChanges } = require('../lib/config');
+
+const rootDirs = [];
+test.after(() => rootDirs.forEach(rootDir => fs.rmSync(rootDir, { recursive: true, force: true })));
+
+// A project directory holding just the given files
+function createRoot(files = {}) {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'echo-config-'));
+    rootDirs.push(rootDir);
+    Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(rootDir, name), content));
+    return rootDir;
+}
+
+function load({ argv = [], env = {}, files } = {}) {
+    return loadConfig({ argv, env, rootDir: createRoot(files) });
+}
+
+// The problems a bad config is rejected with
+function problemsOf(options) {
+    try {
+        load(options);
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        return error.problems;
+    }
+    assert.fail('expected a ConfigError');
+}
+
+test('with nothing set every setting is its default', () => {
+    const { gameConfig, file, preset } = load();
+    assert.deepStrictEqual(gameConfig, DEFAULT_CONFIG);
+    assert.strictEqual(file, null);
+    assert.strictEqual(preset, null);
+});
+
+test('later sources win: preset, file, environment, flags', () => {
+    const { gameConfig } = load({
+        files: { 'config.json': JSON.stringify({ preset: 'hardcore', bulletDamage: 15, maxBots: 20, minBots: 3 }) },
+        env: { MAX_BOTS: '30', MIN_BOTS: '4' },
+        argv: ['--min-bots=6']
+    });
+    
+    assert.strictEqual(gameConfig.maxHealth, PRESETS.hardcore.maxHealth);
+    assert.strictEqual(gameConfig.bulletDamage, 15);
+    assert.strictEqual(gameConfig.maxBots, 30);
+    assert.strictEqual(gameConfig.minBots, 6);
+});
+
+test('environment variables and flags are parsed to the setting\'s type', () => {
+    const { gameConfig } = load({
+        env: { RECORD_REPLAYS: 'true', GAME_MODE: 'teams' },
+        argv: ['--friendly-fire', '--preset', 'casual', '--player-speed', '200.5']
+    });
+    
+    assert.strictEqual(gameConfig.recordReplays, true);
+    assert.strictEqual(gameConfig.gameMode, 'teams');
+    assert.strictEqual(gameConfig.friendlyFire, true);
+    assert.strictEqual(gameConfig.playerSpeed, 200.5);
+    assert.strictEqual(gameConfig.botDifficulty, PRESETS.casual.botDifficulty);
+});
+
+test('YAML config files are read', () => {
+    const { gameConfig, file, preset } = load({
+        files: { 'config.yaml': '# Local settings\npreset: casual\nmapName: "outpost"\nkillLimit: 40  # more kills\nfriendlyFire: true\n' }
+    });
+    
+    assert.strictEqual(path.basename(file), 'config.yaml');
+    assert.strictEqual(preset, 'casual');
+    assert.strictEqual(gameConfig.killLimit, 40);
+    assert.strictEqual(gameConfig.friendlyFire, true);
+    assert.strictEqual(gameConfig.respawnTime, PRESETS.casual.respawnTime);
+});
+
+test('bad values are all reported with where they came from', () => {
+    const problems = problemsOf({
+        files: { 'config.json': JSON.stringify({ maxHealth: 'lots', gameMode: 'battle-royale', shootCooldown: 1.5 }) },
+        env: { SNAPSHOT_RATE: '1000' }
+    });
+    
+    assert.deepStrictEqual(problems, [
+        'snapshotRate must be between 1 and 60 (got 1000) from environment variable SNAPSHOT_RATE',
+        'maxHealth must be a number (got "lots") from config.json',
+        'shootCooldown must be a whole number (got 1.5) from config.json',
+        'gameMode must be one of ffa, teams (got "battle-royale") from config.json'
+    ]);
+});
+
+test('the map has to be one of the files in maps/', () => {
+    assert.deepStrictEqual(problemsOf({ argv: ['--map-name=atlantis'] }), [
+        'mapName must be one of outpost (got "atlantis") from --map-name'
+    ]);
+});
+
+test('unknown settings, flags and presets are rejected', () => {
+    const problems = problemsOf({
+        files: { 'config.json': JSON.stringify({ maxHealh: 50 }) },
+        argv: ['--preset=nightmare', '--bullet-sped=5']
+    });
+    
+    assert.strictEqual(problems.length, 3);
+    assert.match(problems[0], /Unknown preset "nightmare"/);
+    assert.match(problems[1], /Unknown setting "maxHealh" in config\.json/);
+    assert.match(problems[2], /Unknown option --bullet-sped/);
+});
+
+test('config files have to exist and parse', () => {
+    assert.match(problemsOf({ argv: ['--config', 'missing.json'] })[0], /Can't read config file/);
+    assert.match(problemsOf({ files: { 'config.json': '{ "maxBots": 3,' } })[0], /config\.json is not valid JSON/);
+    assert.match(problemsOf({ files: { 'config.yaml': 'bots:\n  min: 3\n' } })[0], /line 2: expected "key: value"/);
+});
+
+test('the pistol can\'t be set to fire faster than clients may send shots', () => {
+    assert.match(problemsOf({ env: { SHOOT_COOLDOWN: '99' } })[0], /shootCooldown must be between 100 and 60000/);
+    assert.strictEqual(load({ env: { SHOOT_COOLDOWN: '100' } }).gameConfig.shootCooldown, 100);
+});
+
+test('bot limits have to make sense together', () => {
+    assert.deepStrictEqual(problemsOf({ env: { MIN_BOTS: '8', MAX_BOTS: '4' } }), [
+        'minBots (8) can\'t be more than maxBots (4)'
+    ]);
+});
+
+test('changes are split into live ones and ones that need a restart', () => {
+    const next = { ...DEFAULT_CONFIG, bulletDamage: 25, maxHealth: 150, pingCooldown: 500 };
+    
+    assert.deepStrictEqual(diffConfig(DEFAULT_CONFIG, next), {
+        live: { bulletDamage: 25, pingCooldown: 500 },
+        restart: ['maxHealth']
+    });
+});
+
+test('settings changed on a running server have to be live and valid', () => {
+    assert.deepStrictEqual(checkLiveChanges(DEFAULT_CONFIG, { bulletDamage: 20, friendlyFire: true }), []);
+    assert.deepStrictEqual(checkLiveChanges(DEFAULT_CONFIG, { mapName: 'arena', bulletDamage: -1, speed: 3 }), [
+        'mapName can only be changed with a restart',
+        'bulletDamage must be between 0 and 10000 (got -1)',
+        'Unknown setting "speed"'
+    ]);
+    assert.deepStrictEqual(checkLiveChanges(DEFAULT_CONFIG, { minBots: 20 }), [
+        'minBots (20) can\'t be more than maxBots (10)'
+    ]);
+});
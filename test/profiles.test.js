@@ -0,0 +1,38 @@
+/**
+ * Profile store tests: when guest profiles are stored and how many are kept.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { ProfileStore, MAX_PROFILES } = require('../lib/profiles');
+
+function createStore() {
+    return new ProfileStore(path.join(os.tmpdir(), `echo-profiles-${process.pid}.json`));
+}
+
+test('guests who only connect are not stored until they join a match', () => {
+    const store = createStore();
+    const profile = store.connect('guest-token-0123456789');
+    assert.strictEqual(profile.kills, 0);
+    assert.strictEqual(store.get(profile.id), null);
+    
+    store.join(profile.id);
+    assert.strictEqual(store.get(profile.id).id, profile.id);
+    assert.strictEqual(store.connect('guest-token-0123456789'), store.get(profile.id));
+});
+
+test('only the most recently seen profiles are kept', () => {
+    const store = createStore();
+    const oldest = store.getProfileId('guest-token-oldest-0000');
+    store.join(oldest);
+    store.get(oldest).lastSeen = 0;
+    
+    for (let i = 0; i < MAX_PROFILES; i++) {
+        store.join(i.toString(16).padStart(16, '0'));
+    }
+    assert.strictEqual(store.profiles.size, MAX_PROFILES);
+    assert.strictEqual(store.get(oldest), null);
+});
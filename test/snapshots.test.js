@@ -0,0 +1,85 @@
+/**
+ * Snapshot encoder tests: full snapshots, deltas against acknowledged ones, and falling back.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SnapshotEncoder, MAX_UNACKNOWLEDGED, quantizeEntity } = require('../lib/snapshots');
+
+function entity(netId, x, health = 100) {
+    return { netId, x, y: 500, health, alive: true };
+}
+
+// Entity states as the arena builds them: netId -> quantized state
+function statesOf(...entities) {
+    return new Map(entities.map(target => [target.netId, quantizeEntity(target, 1)]));
+}
+
+test('snapshots are full until the client acknowledges one', () => {
+    const encoder = new SnapshotEncoder();
+    const states = statesOf(entity(1, 100), entity(2, 200));
+    
+    const first = encoder.encode(states);
+    assert.strictEqual(first.base, 0);
+    assert.deepStrictEqual(first.entities, [[1, 100, 500, 100, 1, 100], [2, 200, 500, 100, 1, 100]]);
+    assert.deepStrictEqual(first.hidden, []);
+    
+    const second = encoder.encode(states);
+    assert.ok(second.seq > first.seq);
+    assert.strictEqual(second.base, 0);
+    assert.strictEqual(second.entities.length, 2);
+});
+
+test('after an acknowledgement only what changed since that snapshot goes out', () => {
+    const encoder = new SnapshotEncoder();
+    const first = encoder.encode(statesOf(entity(1, 100), entity(2, 200)));
+    encoder.encode(statesOf(entity(1, 150), entity(2, 200))); // Never acknowledged
+    encoder.acknowledge(first.seq);
+    
+    const delta = encoder.encode(statesOf(entity(1, 100), entity(2, 200, 80)));
+    assert.strictEqual(delta.base, first.seq);
+    assert.deepStrictEqual(delta.entities, [[2, 200, 500, 80, 1, 100]]);
+    assert.deepStrictEqual(delta.hidden, []);
+});
+
+test('entities that were hidden or left since the acknowledged snapshot are listed', () => {
+    const encoder = new SnapshotEncoder();
+    encoder.acknowledge(encoder.encode(statesOf(entity(1, 100), entity(2, 200), entity(3, 300))).seq);
+    
+    const delta = encoder.encode(statesOf(entity(2, 200), entity(4, 400)));
+    assert.deepStrictEqual(delta.entities, [[4, 400, 500, 100, 1, 100]]);
+    assert.deepStrictEqual(delta.hidden, [1, 3]);
+});
+
+test('unknown and out-of-date acknowledgements are ignored', () => {
+    const encoder = new SnapshotEncoder();
+    const other = new SnapshotEncoder();
+    const first = encoder.encode(statesOf(entity(1, 100)));
+    
+    // Sequence numbers from another encoder (or never sent) are no baseline
+    encoder.acknowledge(other.encode(statesOf(entity(1, 100))).seq);
+    encoder.acknowledge(first.seq + 1000);
+    assert.strictEqual(encoder.encode(statesOf(entity(1, 100))).base, 0);
+    
+    // A late acknowledgement of an older snapshot doesn't replace a newer baseline
+    const second = encoder.encode(statesOf(entity(1, 120)));
+    encoder.acknowledge(second.seq);
+    encoder.acknowledge(first.seq);
+    assert.strictEqual(encoder.encode(statesOf(entity(1, 120))).base, second.seq);
+});
+
+test('a client that stops acknowledging gets full snapshots again', () => {
+    const encoder = new SnapshotEncoder();
+    const states = statesOf(entity(1, 100), entity(2, 200));
+    const acknowledged = encoder.encode(states);
+    encoder.acknowledge(acknowledged.seq);
+    
+    // The acknowledged snapshot is the oldest kept, so it goes once too many newer ones pile up
+    for (let i = 0; i < MAX_UNACKNOWLEDGED; i++) {
+        assert.strictEqual(encoder.encode(states).base, acknowledged.seq);
+    }
+    const full = encoder.encode(states);
+    assert.strictEqual(full.base, 0);
+    assert.strictEqual(full.entities.length, 2);
+});
@@ -0,0 +1,67 @@
+/**
+ * Spatial hash tests: filing entities as they move and finding them by distance across cells.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpatialHash } = require('../lib/spatial');
+
+const CELL_SIZE = 100;
+
+function ids(entities) {
+    return entities.map(entity => entity.id).sort();
+}
+
+test('entities are found where they were filed, and follow them when they move', () => {
+    const grid = new SpatialHash(CELL_SIZE);
+    const entity = { id: 'a', x: 50, y: 50 };
+    grid.update(entity);
+    assert.deepStrictEqual(ids(grid.queryRadius(50, 50, 10)), ['a']);
+    
+    entity.x = 450;
+    entity.y = 250;
+    grid.update(entity);
+    assert.deepStrictEqual(grid.queryRadius(50, 50, 10), []);
+    assert.deepStrictEqual(ids(grid.queryRadius(450, 250, 10)), ['a']);
+    assert.strictEqual(grid.cells.size, 1, 'the cell it left is dropped');
+});
+
+test('removed entities are never found again', () => {
+    const grid = new SpatialHash(CELL_SIZE);
+    const a = { id: 'a', x: 50, y: 50 };
+    const b = { id: 'b', x: 60, y: 60 };
+    grid.update(a);
+    grid.update(b);
+    
+    grid.remove(a);
+    grid.remove(a);
+    assert.deepStrictEqual(ids(grid.queryRadius(50, 50, 50)), ['b']);
+    
+    grid.remove(b);
+    assert.strictEqual(grid.cells.size, 0);
+    assert.strictEqual(grid.entityCells.size, 0);
+});
+
+test('radius queries reach into neighbouring cells but stop at the radius', () => {
+    const grid = new SpatialHash(CELL_SIZE);
+    const entities = [
+        { id: 'same', x: 120, y: 120 }, // Same cell, 41px away
+        { id: 'east', x: 230, y: 110 }, // Next cell over, 70px away
+        { id: 'northwest', x: 90, y: 70 }, // Diagonal cell, 81px away
+        { id: 'outside', x: 230, y: 230 }, // In a cell the query covers, but too far (139px)
+        { id: 'negative', x: -20, y: 110 } // Left of the origin, 180px away
+    ];
+    entities.forEach(entity => grid.update(entity));
+    
+    assert.deepStrictEqual(ids(grid.queryRadius(160, 110, 90)), ['east', 'northwest', 'same']);
+    assert.deepStrictEqual(ids(grid.queryRadius(0, 100, 25)), ['negative']);
+    assert.deepStrictEqual(ids(grid.queryRadius(160, 110, 1000)), ids(entities));
+});
+
+test('an entity exactly on the radius counts as within it', () => {
+    const grid = new SpatialHash(CELL_SIZE);
+    grid.update({ id: 'edge', x: 300, y: 100 });
+    assert.deepStrictEqual(ids(grid.queryRadius(100, 100, 200)), ['edge']);
+    assert.deepStrictEqual(grid.queryRadius(100, 100, 199), []);
+});
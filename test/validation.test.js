@@ -0,0 +1,70 @@
+/**
+ * Input validation tests: event argument schemas and per-event rate limits.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateEvent, cleanText, EventLimiter, EVENTS, CHAT_CHANNELS } = require('../lib/validation');
+const { SCHEMA } = require('../lib/config');
+
+test('well-formed events pass with only the fields the game uses', () => {
+    assert.deepStrictEqual(validateEvent('shoot', [{ angle: 1.5, viewTime: 1000, damage: 9999 }]), [{ angle: 1.5, viewTime: 1000 }]);
+    assert.deepStrictEqual(validateEvent('playerInput', [{ seq: 4, up: true }]), [{ seq: 4, up: true }]);
+    assert.deepStrictEqual(validateEvent('joinArena', [null, 'hard']), [undefined, 'hard']);
+    assert.deepStrictEqual(validateEvent('joinGame', []), []);
+    assert.deepStrictEqual(validateEvent('chatMessage', [{ message: 'hi' }, () => {}]), [{ message: 'hi' }]);
+    CHAT_CHANNELS.forEach(channel => {
+        assert.deepStrictEqual(validateEvent('chatMessage', [{ message: 'hi', channel }]), [{ message: 'hi', channel }]);
+    });
+});
+
+test('events with arguments of the wrong shape are rejected', () => {
+    assert.strictEqual(validateEvent('shoot', [{ angle: NaN }]), null);
+    assert.strictEqual(validateEvent('shoot', [{ angle: '1.5' }]), null);
+    assert.strictEqual(validateEvent('shoot', [null]), null);
+    assert.strictEqual(validateEvent('playerInput', [{ seq: 1.5 }]), null);
+    assert.strictEqual(validateEvent('playerInput', [{ seq: 2, up: 'yes' }]), null);
+    assert.strictEqual(validateEvent('snapshotAck', [-1]), null);
+    assert.strictEqual(validateEvent('setPlayerName', [{ toString: 'x' }]), null);
+    assert.strictEqual(validateEvent('setPlayerName', ['x'.repeat(16)]), null);
+    assert.strictEqual(validateEvent('chatMessage', [{ message: 'hi', channel: 'admins' }]), null);
+    assert.strictEqual(validateEvent('emitPing', [[1, 2]]), null);
+    assert.strictEqual(validateEvent('playerEliminated', ['bot_1']), null, 'unknown events are rejected');
+});
+
+test('text is cleaned down to one plain line', () => {
+    assert.strictEqual(cleanText('  <b>Bob</b>\n\t the\u202eGreat  '), '<b>Bob</b> the Great');
+    assert.strictEqual(cleanText('Server\r\nrestart \u0007soon', 15), 'Server restart');
+});
+
+test('holding fire at the fastest allowed fire rate stays within the shoot limit', () => {
+    const limiter = new EventLimiter();
+    const fastest = SCHEMA.shootCooldown.min;
+    
+    // Two seconds of shots arriving in one window (a stalled connection catching up) still get through
+    const verdicts = [];
+    for (let time = 0; time < 2000; time += fastest) {
+        verdicts.push(limiter.record('shoot', 1000));
+    }
+    assert.ok(verdicts.every(verdict => verdict === 'ok'));
+    assert.strictEqual(limiter.record('shoot', 1000), 'drop');
+});
+
+test('events over their limit are dropped and far over it is flooding', () => {
+    const limiter = new EventLimiter();
+    const limit = EVENTS.shoot.perSecond;
+    const verdicts = [];
+    for (let i = 0; i < limit * 3 + 1; i++) {
+        verdicts.push(limiter.record('shoot', 1000));
+    }
+    
+    assert.deepStrictEqual(verdicts.slice(0, limit), new Array(limit).fill('ok'));
+    assert.strictEqual(verdicts[limit], 'drop');
+    assert.strictEqual(verdicts[limit * 3 - 1], 'drop');
+    assert.strictEqual(verdicts[limit * 3], 'flood');
+    
+    // Each event has its own limit, and the count starts over every second
+    assert.strictEqual(limiter.record('emitPing', 1000), 'ok');
+    assert.strictEqual(limiter.record('shoot', 2000), 'ok');
+});
@@ -0,0 +1,634 @@
+/**
+ * GameWorld tests: a headless world on a fake clock with a fixed seed, driven step by step.
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameWorld } = require('../lib/world');
+const { DEFAULT_CONFIG } = require('../lib/config');
+
+// The server defaults, without bots or warmup and with rounds that only end on time
+const CONFIG = {
+    ...DEFAULT_CONFIG,
+    minBots: 0,
+    maxBots: 0,
+    warmupTime: 0,
+    scoreLimit: 0,
+    killLimit: 0
+};
+
+// Open floor inside the outpost's central walls
+const LEFT = { x: 950, y: 1000 };
+const RIGHT = { x: 1050, y: 1000 };
+
+// A started world on a clock that only moves when the test says so, recording everything it sends
+function createWorld(overrides = {}, seed = 42) {
+    let time = 1000000;
+    const events = [];
+    const record = to => (...args) => {
+        const [event, data] = args.slice(-2);
+        events.push({ to: args.length === 3 ? `${to}:${args[0]}` : to, event, data });
+    };
+    const world = new GameWorld({ ...CONFIG, ...overrides }, {
+        clock: () => time,
+        seed: seed,
+        output: {
+            broadcast: record('all'),
+            sendTo: record('player'),
+            broadcastExcept: record('except'),
+            sendToSpectators: record('spectators')
+        }
+    });
+    world.start();
+    
+    return {
+        world,
+        events,
+        eventsNamed: name => events.filter(entry => entry.event === name),
+        // Let milliseconds of game time pass, one tick per simulation step
+        run(milliseconds) {
+            const end = time + milliseconds;
+            while (time < end) {
+                time = Math.min(end, time + world.stepInterval);
+                world.tick();
+            }
+        }
+    };
+}
+
+function addPlayerAt(world, id, position) {
+    const player = world.addPlayer(id);
+    world.setPosition(player, position.x, position.y);
+    return player;
+}
+
+// Two players facing each other with the round already live
+function createDuel(overrides) {
+    const setup = createWorld(overrides);
+    setup.run(100);
+    const shooter = addPlayerAt(setup.world, 'shooter', LEFT);
+    const target = addPlayerAt(setup.world, 'target', RIGHT);
+    return { ...setup, shooter, target };
+}
+
+test('a bullet that reaches a player does damage and is removed', () => {
+    const { world, run, eventsNamed, target } = createDuel();
+    
+    world.handleShoot('shooter', { angle: 0 });
+    assert.strictEqual(world.bullets.size, 1);
+    run(1500);
+    
+    assert.strictEqual(target.health, CONFIG.maxHealth - CONFIG.bulletDamage);
+    assert.strictEqual(world.bullets.size, 0);
+    const hits = eventsNamed('playerHit');
+    assert.deepStrictEqual(hits.map(entry => entry.to), ['player:shooter', 'player:target', 'spectators']);
+    assert.deepStrictEqual(hits[0].data, { playerId: 'target', damage: 10, health: 90, shooterId: 'shooter' });
+});
+
+test('a bullet hits only one of two players standing close together', () => {
+    const { world, run, eventsNamed, target } = createDuel();
+    world.setPosition(target, RIGHT.x, RIGHT.y - 8);
+    const other = addPlayerAt(world, 'other', { x: RIGHT.x, y: RIGHT.y + 8 });
+    
+    // The sniper has no spread, so the bullet reaches both at the same moment
+    world.handleSwitchWeapon('shooter', 'sniper');
+    world.handleShoot('shooter', { angle: 0 });
+    run(1500);
+    
+    assert.strictEqual(eventsNamed('playerHit').filter(entry => entry.to === 'spectators').length, 1);
+    assert.strictEqual(eventsNamed('bulletRemoved').length, 1);
+    assert.strictEqual(target.health + other.health, target.maxHealth + other.maxHealth - world.weapons.sniper.damage);
+});
+
+test('fast bullets hit players they pass between two steps', () => {
+    const { world, run, target } = createDuel({ simulationRate: 5, bulletSpeed: 300 });
+    
+    // 240px per step: the bullet is never anywhere near the target at the end of one
+    world.handleSwitchWeapon('shooter', 'sniper');
+    world.handleShoot('shooter', { angle: 0 });
+    run(1000);
+    assert.strictEqual(target.health, target.maxHealth - world.weapons.sniper.damage);
+});
+
+test('bullets are only sent to players who can see them, without giving the shooter away', () => {
+    const { world, run, eventsNamed, shooter } = createDuel();
+    addPlayerAt(world, 'far', { x: 200, y: 200 });
+    
+    world.handleShoot('shooter', { angle: Math.PI });
+    const sent = eventsNamed('bulletFired');
+    assert.deepStrictEqual(sent.map(entry => entry.to), ['spectators', 'player:shooter', 'player:target']);
+    assert.strictEqual(sent[1].data.color, shooter.color);
+    assert.notStrictEqual(sent[2].data.color, shooter.color);
+    
+    run(1000);
+    assert.strictEqual(eventsNamed('bulletFired').length, 3);
+});
+
+test('a bullet going the other way misses', () => {
+    const { world, run, target } = createDuel();
+    
+    world.handleShoot('shooter', { angle: Math.PI });
+    run(1500);
+    
+    assert.strictEqual(target.health, CONFIG.maxHealth);
+});
+
+test('a lagging shot hits the target where the shooter saw it, not where it is now', () => {
+    // Fast bullets, so the shot arrives well within the rewind
+    const shootAfterDodging = viewDelay => {
+        const { world, run, target } = createDuel({ bulletSpeed: 2000 });
+        run(300);
+        
+        // The target stepped out of the line of fire just as the shot came in
+        world.handleShoot('shooter', { angle: 0, viewTime: world.clock() - viewDelay });
+        world.setPosition(target, RIGHT.x, RIGHT.y + 100);
+        run(500);
+        return target.health;
+    };
+    
+    assert.strictEqual(shootAfterDodging(200), CONFIG.maxHealth - CONFIG.bulletDamage);
+    assert.strictEqual(shootAfterDodging(0), CONFIG.maxHealth);
+});
+
+test('shots are never rewound further than maxRewindTime', () => {
+    const { world, run, target } = createDuel({ bulletSpeed: 2000 });
+    run(300);
+    const sawTargetAt = world.clock();
+    world.setPosition(target, RIGHT.x, RIGHT.y + 100);
+    run(CONFIG.maxRewindTime + 150);
+    
+    // The shooter claims to have seen the target back in the line of fire, longer ago than the cap
+    world.handleShoot('shooter', { angle: 0, viewTime: sawTargetAt });
+    assert.strictEqual([...world.bullets.values()][0].rewindTime, CONFIG.maxRewindTime);
+    run(500);
+    assert.strictEqual(target.health, CONFIG.maxHealth);
+});
+
+test('the last hit kills and gives the shooter credit', () => {
+    const { world, run, eventsNamed, shooter, target } = createDuel();
+    target.health = CONFIG.bulletDamage;
+    
+    world.handleShoot('shooter', { angle: 0 });
+    run(1500);
+    
+    assert.strictEqual(target.alive, false);
+    assert.strictEqual(target.deaths, 1);
+    assert.strictEqual(shooter.kills, 1);
+    assert.ok(shooter.score >= 100, 'a kill is worth 100 points');
+    const deaths = eventsNamed('playerDied');
+    assert.strictEqual(deaths.length, 1);
+    assert.strictEqual(deaths[0].data.id, 'target');
+    assert.strictEqual(deaths[0].data.eliminatedBy, 'shooter');
+});
+
+test('teammates are not hurt without friendly fire', () => {
+    const { world, run, shooter, target } = createDuel({ gameMode: 'teams' });
+    target.team = shooter.team;
+    
+    world.handleShoot('shooter', { angle: 0 });
+    run(1500);
+    
+    assert.strictEqual(target.health, CONFIG.maxHealth);
+});
+
+test('teammate kills give no credit with friendly fire on', () => {
+    const { world, run, shooter, target } = createDuel({ gameMode: 'teams', friendlyFire: true });
+    target.team = shooter.team;
+    target.health = CONFIG.bulletDamage;
+    
+    world.handleShoot('shooter', { angle: 0 });
+    run(1500);
+    
+    assert.strictEqual(target.alive, false);
+    assert.strictEqual(shooter.kills, 0);
+});
+
+test('dead players respawn with full health after the respawn time', () => {
+    const { world, run, events, target } = createDuel();
+    target.health = CONFIG.bulletDamage;
+    world.handleShoot('shooter', { angle: 0 });
+    run(1000); // The bullet arrives after 850ms
+    assert.strictEqual(target.alive, false);
+    
+    run(CONFIG.respawnTime - 500);
+    assert.strictEqual(target.alive, false, 'still waiting to respawn');
+    
+    run(1000);
+    assert.strictEqual(target.alive, true);
+    assert.strictEqual(target.health, CONFIG.maxHealth);
+    
+    // Only the respawned player learns where they are
+    const respawns = events.filter(entry => entry.event === 'playerRespawned');
+    assert.deepStrictEqual(respawns.map(entry => entry.to), ['player:target', 'except:target']);
+    assert.strictEqual(respawns[0].data.x, target.x);
+    assert.strictEqual(respawns[1].data.x, undefined);
+});
+
+test('shooting is limited by the shoot cooldown', () => {
+    const { world, run } = createDuel();
+    
+    world.handleShoot('shooter', { angle: Math.PI });
+    world.handleShoot('shooter', { angle: Math.PI });
+    assert.strictEqual(world.bullets.size, 1);
+    
+    run(CONFIG.shootCooldown);
+    world.handleShoot('shooter', { angle: Math.PI });
+    assert.strictEqual(world.bullets.size, 2);
+});
+
+test('dead players cannot shoot', () => {
+    const { world, shooter } = createDuel();
+    shooter.alive = false;
+    
+    world.handleShoot('shooter', { angle: 0 });
+    assert.strictEqual(world.bullets.size, 0);
+});
+
+test('sonar is limited by its cooldown', () => {
+    const { world, run, eventsNamed } = createDuel();
+    
+    world.handlePing('shooter', { type: 'pulse' });
+    world.handlePing('shooter', { type: 'pulse' });
+    assert.strictEqual(eventsNamed('pingEmitted').length, 1);
+    const cooldowns = eventsNamed('pingCooldown');
+    assert.strictEqual(cooldowns.length, 1);
+    assert.strictEqual(cooldowns[0].to, 'player:shooter');
+    assert.strictEqual(cooldowns[0].data.remaining, CONFIG.pingCooldown);
+    
+    run(CONFIG.pingCooldown);
+    world.handlePing('shooter', { type: 'pulse' });
+    assert.strictEqual(eventsNamed('pingEmitted').length, 2);
+});
+
+test('charged sonar goes off once charged', () => {
+    const { world, run, eventsNamed } = createDuel();
+    const chargeTime = world.sonarTypes.deep.chargeTime;
+    
+    world.handlePing('shooter', { type: 'deep' });
+    assert.strictEqual(eventsNamed('sonarCharging').length, 1);
+    assert.strictEqual(eventsNamed('pingEmitted').length, 0);
+    
+    run(chargeTime + 100);
+    assert.strictEqual(eventsNamed('pingEmitted').length, 1);
+});
+
+test('bots fill the world up to the minimum and make room for players', () => {
+    const { world } = createWorld({ minBots: 3, maxBots: 5 });
+    assert.strictEqual(world.bots.size, 3);
+    
+    world.addPlayer('p1');
+    world.addPlayer('p2');
+    assert.strictEqual(world.bots.size, 3);
+    
+    world.addPlayer('p3');
+    assert.strictEqual(world.bots.size, 2, 'one bot leaves so there are at most 5 entities');
+    
+    world.removePlayer('p1');
+    world.removePlayer('p2');
+    world.removePlayer('p3');
+    assert.strictEqual(world.bots.size, 3, 'bots come back once players leave');
+});
+
+test('score is seconds survived this round plus 100 per kill', () => {
+    const { world, run, shooter } = createDuel();
+    
+    run(10500);
+    assert.strictEqual(shooter.score, 10);
+    
+    shooter.kills = 2;
+    run(1000);
+    assert.strictEqual(shooter.score, 211);
+    assert.strictEqual(world.getLeaderboard()[0].id, 'shooter');
+});
+
+test('nothing scores during warmup', () => {
+    const { world, run } = createWorld({ warmupTime: 5000 });
+    const player = world.addPlayer('p1');
+    
+    run(3000);
+    assert.strictEqual(world.round.phase, 'warmup');
+    assert.strictEqual(player.score, 0);
+    
+    run(3000);
+    assert.strictEqual(world.round.phase, 'active');
+    assert.strictEqual(player.score, 0, 'the round clock starts when the match does');
+});
+
+test('reaching the score limit ends the round', () => {
+    const { world, run, eventsNamed } = createDuel({ scoreLimit: 5 });
+    
+    run(6000);
+    assert.strictEqual(world.round.phase, 'intermission');
+    const ended = eventsNamed('roundEnded');
+    assert.strictEqual(ended.length, 1);
+    assert.strictEqual(ended[0].data.reason, 'score');
+    assert.strictEqual(world.isCombatEnabled(), false);
+});
+
+test('the same seed plays out the same way', () => {
+    const positions = seed => {
+        const { world, run } = createWorld({ minBots: 6, maxBots: 6 }, seed);
+        run(5000);
+        return [...world.bots.values()].map(bot => [bot.x, bot.y, bot.brain.state]);
+    };
+    
+    assert.deepStrictEqual(positions(7), positions(7));
+    assert.notDeepStrictEqual(positions(7), positions(8));
+});
+
+test('bots added or removed by hand are not undone by the bot limits', () => {
+    const { world, run } = createWorld({ minBots: 2, maxBots: 2 });
+    const extra = world.spawnExtraBot();
+    run(500);
+    assert.strictEqual(world.bots.size, 3);
+    
+    assert.strictEqual(world.removeExtraBot(extra.id), true);
+    assert.strictEqual(world.removeExtraBot([...world.bots.keys()][0]), true);
+    run(500);
+    assert.strictEqual(world.bots.size, 1);
+    assert.strictEqual(world.removeExtraBot('nobody'), false);
+});
+
+test('a leaderboard reset starts scores over mid-round', () => {
+    const { world, run, shooter } = createDuel();
+    shooter.kills = 3;
+    run(5000);
+    assert.ok(shooter.score > 300);
+    
+    world.resetLeaderboard(world.clock());
+    run(2500);
+    assert.strictEqual(shooter.kills, 0);
+    assert.strictEqual(shooter.score, 2);
+});
+
+test('chat goes to everyone with the sender\'s name, cleaned up and filtered', () => {
+    const { world, eventsNamed } = createWorld({ chatMaxLength: 20 });
+    world.addPlayer('p1');
+    world.setPlayerName('p1', 'Alice');
+    
+    world.handleChatMessage('p1', { message: '  well\nshit,   that was a long fight ', channel: 'all' });
+    world.handleChatMessage('p1', { message: '   ' });
+    world.handleChatMessage('p1', 'not an object');
+    
+    const chats = eventsNamed('chatMessage');
+    assert.strictEqual(chats.length, 1);
+    assert.strictEqual(chats[0].to, 'all');
+    assert.strictEqual(chats[0].data.name, 'Alice');
+    assert.strictEqual(chats[0].data.channel, 'all');
+    assert.strictEqual(chats[0].data.message, 'well ****, that was');
+});
+
+test('team chat only reaches teammates', () => {
+    const { world, eventsNamed } = createWorld({ gameMode: 'teams' });
+    const players = ['a', 'b', 'c', 'd'].map(id => world.addPlayer(id));
+    const teammates = players.filter(player => player.team === players[0].team).map(player => `player:${player.id}`);
+    
+    world.handleChatMessage('a', { message: 'flank left', channel: 'team' });
+    
+    const chats = eventsNamed('chatMessage');
+    assert.deepStrictEqual(chats.map(entry => entry.to), teammates);
+    assert.ok(chats.every(entry => entry.data.channel === 'team'));
+});
+
+test('chat is rate limited per player', () => {
+    const { world, run, eventsNamed } = createWorld({ chatRateLimit: 2, chatRateWindow: 5000 });
+    world.addPlayer('p1');
+    
+    ['one', 'two', 'three'].forEach(message => world.handleChatMessage('p1', { message: message }));
+    assert.strictEqual(eventsNamed('chatMessage').length, 2);
+    const rejected = eventsNamed('chatRejected');
+    assert.strictEqual(rejected.length, 1);
+    assert.strictEqual(rejected[0].to, 'player:p1');
+    assert.strictEqual(rejected[0].data.retryIn, 5000);
+    
+    run(5000);
+    world.handleChatMessage('p1', { message: 'four' });
+    assert.strictEqual(eventsNamed('chatMessage').length, 3);
+});
+
+test('shots without a usable angle are ignored', () => {
+    const { world } = createDuel();
+    
+    world.handleShoot('shooter', { angle: NaN });
+    world.handleShoot('shooter', { angle: 'left' });
+    world.handleShoot('shooter', null);
+    assert.strictEqual(world.bullets.size, 0);
+});
+
+test('player names are cleaned and kept short', () => {
+    const { world } = createWorld();
+    const player = world.addPlayer('p1');
+    
+    world.setPlayerName('p1', '  Bob\n\nthe   Builder of Things ');
+    assert.strictEqual(player.name, 'Bob the Builder');
+    world.setPlayerName('p1', '\n\t');
+    assert.strictEqual(player.name, 'Anonymous');
+    world.setPlayerName('p1', { name: 'object' });
+    assert.strictEqual(player.name, 'Anonymous');
+});
+
+// Put a player on a free pickup spot holding the given item and let them collect it
+function collectPickup(setup, player, type) {
+    const pickup = setup.world.pickups.find(spot => spot.active && !spot.fixedType);
+    pickup.type = type;
+    setup.world.setPosition(player, pickup.x, pickup.y);
+    setup.run(100);
+    return pickup;
+}
+
+test('walking over a health pack heals and the pack comes back later', () => {
+    const setup = createDuel();
+    const { world, run, eventsNamed, shooter } = setup;
+    shooter.health = 50;
+    
+    const pickup = collectPickup(setup, shooter, 'health');
+    assert.strictEqual(shooter.health, 90);
+    assert.strictEqual(pickup.active, false);
+    assert.deepStrictEqual(eventsNamed('pickupCollected').map(entry => entry.to), ['player:shooter', 'spectators']);
+    
+    world.setPosition(shooter, LEFT.x, LEFT.y);
+    run(CONFIG.pickupRespawnTime);
+    assert.strictEqual(pickup.active, true);
+});
+
+test('health packs are left alone at full health', () => {
+    const setup = createDuel();
+    const pickup = collectPickup(setup, setup.shooter, 'health');
+    assert.strictEqual(pickup.active, true);
+    assert.strictEqual(setup.eventsNamed('pickupCollected').length, 0);
+});
+
+test('pickups stay hidden until sonar reveals them', () => {
+    const { world, run, target } = createDuel();
+    const healthPack = world.pickups.find(pickup => pickup.fixedType === 'health' && pickup.y < 1000);
+    
+    world.updateVisibility(world.simulationTime);
+    assert.strictEqual(target.visiblePickups.has(healthPack.id), false);
+    
+    world.handlePing('target', { type: 'pulse' });
+    run(1000);
+    world.updateVisibility(world.simulationTime);
+    assert.ok(target.visiblePickups.get(healthPack.id) > 0);
+});
+
+test('a stealth module keeps pings from giving the emitter away', () => {
+    const setup = createDuel();
+    const { world, eventsNamed, target } = setup;
+    collectPickup(setup, setup.shooter, 'silence');
+    
+    world.handlePing('shooter', { type: 'pulse' });
+    assert.deepStrictEqual(eventsNamed('pingEmitted').map(entry => entry.to), ['player:shooter', 'spectators']);
+    assert.strictEqual(world.canHearPing(target, world.pings[0]), false);
+});
+
+test('bots only hear pings within their hearing range, however loud', () => {
+    const { world, shooter } = createDuel();
+    const range = world.botDifficulty.hearingRange;
+    const near = world.createBot();
+    const far = world.createBot();
+    world.setPosition(near, shooter.x - range + 10, shooter.y);
+    world.setPosition(far, shooter.x, shooter.y + range + 10);
+    const listener = addPlayerAt(world, 'listener', far);
+    
+    world.handlePing('shooter', { type: 'pulse' });
+    const ping = world.pings[0];
+    assert.strictEqual(ping.loudness, Infinity);
+    assert.strictEqual(world.canHearPing(near, ping), true);
+    assert.strictEqual(world.canHearPing(far, ping), false);
+    assert.strictEqual(world.canHearPing(listener, ping), true);
+});
+
+test('sonar boosters extend range and ping capacitors shorten cooldowns', () => {
+    const setup = createDuel();
+    const { world, run, eventsNamed, shooter } = setup;
+    collectPickup(setup, shooter, 'sonarBoost');
+    collectPickup(setup, shooter, 'quickPing');
+    
+    world.handlePing('shooter', { type: 'pulse' });
+    assert.strictEqual(eventsNamed('pingEmitted')[0].data.maxRadius, CONFIG.maxPingRadius * 1.5);
+    
+    run(CONFIG.pingCooldown / 2);
+    world.handlePing('shooter', { type: 'pulse' });
+    assert.strictEqual(eventsNamed('pingEmitted').length, 2);
+});
+
+test('an empty magazine reloads from the reserve', () => {
+    const { world, run, eventsNamed, shooter } = createDuel();
+    const sniper = world.weapons.sniper;
+    world.handleSwitchWeapon('shooter', 'sniper');
+    
+    for (let shot = 0; shot < sniper.magazineSize; shot++) {
+        world.handleShoot('shooter', { angle: Math.PI });
+        run(sniper.fireInterval);
+    }
+    assert.deepStrictEqual(shooter.ammo.sniper, { magazine: 0, reserve: sniper.maxReserve });
+    assert.ok(shooter.reload);
+    
+    world.handleShoot('shooter', { angle: Math.PI });
+    assert.strictEqual(world.bullets.size, 0);
+    
+    run(sniper.reloadTime);
+    assert.deepStrictEqual(shooter.ammo.sniper, { magazine: sniper.magazineSize, reserve: sniper.maxReserve - sniper.magazineSize });
+    assert.strictEqual(eventsNamed('weaponState').at(-1).data.ammo.sniper.magazine, sniper.magazineSize);
+});
+
+test('the shotgun fires a spread of pellets', () => {
+    const { world, shooter } = createDuel();
+    world.handleSwitchWeapon('shooter', 'shotgun');
+    world.handleShoot('shooter', { angle: Math.PI });
+    
+    const bullets = [...world.bullets.values()];
+    assert.strictEqual(bullets.length, world.weapons.shotgun.pellets);
+    assert.ok(bullets.every(bullet => bullet.weapon === 'shotgun'));
+    assert.ok(new Set(bullets.map(bullet => bullet.vy)).size > 1);
+    assert.strictEqual(shooter.ammo.shotgun.magazine, world.weapons.shotgun.magazineSize - 1);
+});
+
+test('the sniper hits far beyond the pistol\'s range', () => {
+    const { world, run, shooter, target } = createDuel();
+    world.setPosition(shooter, 200, 200);
+    world.setPosition(target, 800, 200);
+    
+    world.handleShoot('shooter', { angle: 0 });
+    run(world.weapons.pistol.range / world.weapons.pistol.speed * 1000 + 100);
+    assert.strictEqual(target.health, target.maxHealth);
+    
+    world.handleSwitchWeapon('shooter', 'sniper');
+    world.handleShoot('shooter', { angle: 0 });
+    run(2000);
+    assert.strictEqual(target.health, target.maxHealth - world.weapons.sniper.damage);
+});
+
+test('sniper shots give the shooter away to everyone', () => {
+    const { world, run, target } = createDuel();
+    world.setPosition(target, LEFT.x, LEFT.y - 600);
+    
+    world.handleShoot('shooter', { angle: Math.PI });
+    assert.strictEqual(world.computeVisibility(target, world.clock()).has('shooter'), false);
+    
+    run(CONFIG.shootCooldown);
+    world.handleSwitchWeapon('shooter', 'sniper');
+    world.handleShoot('shooter', { angle: Math.PI });
+    assert.strictEqual(world.computeVisibility(target, world.clock()).get('shooter'), 1);
+    assert.deepStrictEqual([...world.revealed].map(entity => entity.id), ['shooter']);
+    
+    run(world.weapons.sniper.revealTime);
+    assert.strictEqual(world.computeVisibility(target, world.clock()).has('shooter'), false);
+    run(world.stepInterval);
+    assert.strictEqual(world.revealed.size, 0, 'shooters are dropped once their reveal wears off');
+});
+
+test('a mine arms, leaves its owner alone and blows up under an enemy', () => {
+    const { world, run, eventsNamed, shooter, target } = createDuel();
+    world.handleSwitchWeapon('shooter', 'mine');
+    world.handleShoot('shooter', { angle: 0 });
+    assert.deepStrictEqual(eventsNamed('minePlaced').map(entry => entry.to), ['player:shooter', 'spectators']);
+    
+    run(world.weapons.mine.armTime + 100);
+    assert.strictEqual(world.mines.size, 1);
+    
+    world.setPosition(target, LEFT.x + 20, LEFT.y);
+    run(100);
+    assert.strictEqual(world.mines.size, 0);
+    assert.deepStrictEqual(eventsNamed('mineExploded').map(entry => entry.to), ['player:shooter', 'player:target', 'spectators']);
+    assert.strictEqual(target.health, target.maxHealth - world.weapons.mine.damage);
+    assert.strictEqual(shooter.health, shooter.maxHealth);
+});
+
+test('hits and blasts only reach players who can see them', () => {
+    const { world, run, eventsNamed, shooter, target } = createDuel();
+    const far = addPlayerAt(world, 'far', { x: 200, y: 200 });
+    
+    world.handleShoot('shooter', { angle: 0 });
+    run(1500);
+    assert.deepStrictEqual(eventsNamed('playerHit').map(entry => entry.to), ['player:shooter', 'player:target', 'spectators']);
+    
+    // Once the far player can see the target, it sees the target get hurt too
+    far.visible.set('target', 0.5);
+    world.damageEntity(target, 10, { id: 'nobody', name: 'Nobody' }, false, world.clock());
+    assert.deepStrictEqual(eventsNamed('playerHit').slice(3).map(entry => entry.to), ['player:target', 'player:far', 'spectators']);
+    
+    world.handleSwitchWeapon('shooter', 'mine');
+    run(CONFIG.shootCooldown);
+    world.handleShoot('shooter', { angle: 0 });
+    run(world.weapons.mine.armTime + 100);
+    world.setPosition(target, shooter.x + 20, shooter.y);
+    run(100);
+    const blasts = eventsNamed('mineExploded');
+    assert.deepStrictEqual(blasts.map(entry => entry.to), ['player:shooter', 'player:target', 'spectators']);
+    assert.deepStrictEqual(blasts[0].data, { id: 'mine_0', x: LEFT.x, y: LEFT.y, radius: world.weapons.mine.blastRadius });
+});
+
+test('ammo crates refill spare ammo and are left alone when it is full', () => {
+    const setup = createDuel();
+    const { world, eventsNamed, shooter } = setup;
+    
+    const pickup = collectPickup(setup, shooter, 'ammo');
+    assert.strictEqual(pickup.active, true);
+    
+    shooter.ammo.sniper.reserve = 0;
+    collectPickup(setup, shooter, 'ammo');
+    assert.strictEqual(shooter.ammo.sniper.reserve, world.weapons.sniper.maxReserve);
+    assert.strictEqual(eventsNamed('weaponState').at(-1).data.ammo.sniper.reserve, world.weapons.sniper.maxReserve);
+});